@@ -26,6 +26,10 @@ typedef NS_ENUM(NSInteger, WebRTCManagerState) {
 
 @property (nonatomic, weak) id<WebRTCManagerDelegate> delegate;
 @property (nonatomic, strong) NSString *serverIP;
+// Segredo da sala exigido pelo servidor no 'join' (opcional)
+@property (nonatomic, strong) NSString *roomToken;
+// Camada de vídeo pedida ao publicador: "f" (completa), "h" (metade) ou "q" (um quarto); nil = completa
+@property (nonatomic, strong, readonly) NSString *videoLayer;
 @property (nonatomic, assign, readonly) WebRTCManagerState state;
 @property (nonatomic, assign, readonly) BOOL isReceivingFrames;
 @property (nonatomic, assign, readonly) BOOL isSubstitutionActive;
@@ -61,6 +65,9 @@ typedef NS_ENUM(NSInteger, WebRTCManagerState) {
 // Retorna estatísticas sobre a conexão atual
 - (NSDictionary *)getConnectionStats;
 
+// Pede ao publicador outra camada de vídeo (simulcast/SVC ou redução de resolução)
+- (void)selectVideoLayer:(NSString *)layer;
+
 @end
 
 #endif /* WEBRTCMANAGER_H */
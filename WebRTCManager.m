@@ -2,6 +2,51 @@
 #import "logger.h"
 #import "DarwinNotifications.h"
 
+// Marcador de latência desenhado pela página do publicador no rodapé de cada quadro (drawLatencyMarker):
+// branco e preto de referência, 24 bits do horário de envio no relógio do servidor, paridade par e branco de fechamento
+static const int kLatencyMarkerCells = 28;
+static const int kLatencyMarkerBits = 24;
+static const double kLatencyMarkerModulus = 16777216.0; // 2^24 ms
+static const double kLatencyMaxMs = 10000.0; // Acima disso a leitura ou o relógio estão errados
+static const CFTimeInterval kLatencySampleInterval = 0.1; // Um quadro lido a cada 100 ms
+static const NSUInteger kClockSamples = 8; // Medições do relógio do servidor mantidas (keepalive-ack)
+
+// Ler o marcador a partir da luminância do quadro; NO se o quadro não tiver marcador válido
+static BOOL decodeLatencyMarker(int (^lumaAt)(int x, int y), int width, int height, uint32_t *value) {
+    if (width < kLatencyMarkerCells * 2 || height < 16) {
+        return NO;
+    }
+    
+    // Linha central da faixa (1/20 da altura no publicador, mínimo de 8 px)
+    int y = height - MAX(2, height / 40);
+    double cellWidth = (double)width / kLatencyMarkerCells;
+    int offset = MAX(1, (int)(cellWidth / 4));
+    int levels[kLatencyMarkerCells];
+    for (int i = 0; i < kLatencyMarkerCells; i++) {
+        int center = (int)((i + 0.5) * cellWidth);
+        levels[i] = (lumaAt(center - offset, y) + lumaAt(center, y) + lumaAt(center + offset, y)) / 3;
+    }
+    
+    int threshold = (levels[0] + levels[1]) / 2;
+    if (levels[0] - levels[1] < 64 || levels[kLatencyMarkerCells - 1] < threshold) {
+        return NO;
+    }
+    
+    uint32_t decoded = 0;
+    int ones = 0;
+    for (int i = 0; i < kLatencyMarkerBits; i++) {
+        int bit = levels[2 + i] >= threshold ? 1 : 0;
+        decoded = (decoded << 1) | bit;
+        ones += bit;
+    }
+    if ((levels[2 + kLatencyMarkerBits] >= threshold ? 1 : 0) != ones % 2) {
+        return NO;
+    }
+    
+    *value = decoded;
+    return YES;
+}
+
 // Classe para captura eficiente de frames do VideoTrack
 @interface RTCFrameCaptor : NSObject <RTCVideoRenderer>
 @property (nonatomic, strong) RTCVideoFrame *lastFrame;
@@ -9,6 +54,9 @@
 @property (nonatomic, strong) id<RTCI420Buffer> lastI420Buffer;
 @property (nonatomic, assign) BOOL hasNewFrame;
 @property (nonatomic, assign) CFTimeInterval lastCaptureTime;
+@property (nonatomic, strong) NSMutableArray<NSArray<NSNumber *> *> *latencyMarkers; // [marcador, chegada em ms (relógio local)]
+@property (nonatomic, assign) CFTimeInterval lastMarkerTime;
+- (NSArray<NSArray<NSNumber *> *> *)takeLatencyMarkers;
 @end
 
 @implementation RTCFrameCaptor
@@ -20,6 +68,7 @@
         _lastCVPixelBuffer = nil;
         _lastI420Buffer = nil;
         _hasNewFrame = NO;
+        _latencyMarkers = [NSMutableArray array];
     }
     return self;
 }
@@ -39,6 +88,73 @@
         
         _lastCaptureTime = CACurrentMediaTime();
         _hasNewFrame = YES;
+        
+        if (_lastCaptureTime - _lastMarkerTime >= kLatencySampleInterval) {
+            _lastMarkerTime = _lastCaptureTime;
+            [self readLatencyMarker:frame];
+        }
+    }
+}
+
+// Guardar o marcador do quadro com o horário de chegada; a conversão para latência usa o relógio do servidor
+- (void)readLatencyMarker:(RTCVideoFrame *)frame {
+    // O publicador desenha o marcador no quadro já orientado
+    if (frame.rotation != RTCVideoRotation_0) {
+        return;
+    }
+    
+    double arrival = [[NSDate date] timeIntervalSince1970] * 1000;
+    uint32_t marker = 0;
+    BOOL found = NO;
+    
+    if (_lastCVPixelBuffer) {
+        RTCCVPixelBuffer *buffer = _lastCVPixelBuffer;
+        CVPixelBufferRef pixelBuffer = buffer.pixelBuffer;
+        OSType format = CVPixelBufferGetPixelFormatType(pixelBuffer);
+        BOOL biPlanar = format == kCVPixelFormatType_420YpCbCr8BiPlanarFullRange ||
+                        format == kCVPixelFormatType_420YpCbCr8BiPlanarVideoRange;
+        if (!biPlanar && format != kCVPixelFormatType_32BGRA) {
+            return;
+        }
+        
+        CVPixelBufferLockBaseAddress(pixelBuffer, kCVPixelBufferLock_ReadOnly);
+        const uint8_t *base = biPlanar ? CVPixelBufferGetBaseAddressOfPlane(pixelBuffer, 0) : CVPixelBufferGetBaseAddress(pixelBuffer);
+        size_t stride = biPlanar ? CVPixelBufferGetBytesPerRowOfPlane(pixelBuffer, 0) : CVPixelBufferGetBytesPerRow(pixelBuffer);
+        int cropX = buffer.cropX;
+        int cropY = buffer.cropY;
+        found = decodeLatencyMarker(^int(int x, int y) {
+            const uint8_t *row = base + (size_t)(cropY + y) * stride;
+            if (biPlanar) {
+                return row[cropX + x];
+            }
+            // BGRA: luminância aproximada
+            const uint8_t *pixel = row + (size_t)(cropX + x) * 4;
+            return (pixel[0] + pixel[1] * 2 + pixel[2]) / 4;
+        }, buffer.cropWidth, buffer.cropHeight, &marker);
+        CVPixelBufferUnlockBaseAddress(pixelBuffer, kCVPixelBufferLock_ReadOnly);
+    } else if (_lastI420Buffer) {
+        id<RTCI420Buffer> buffer = _lastI420Buffer;
+        const uint8_t *dataY = buffer.dataY;
+        int strideY = buffer.strideY;
+        found = decodeLatencyMarker(^int(int x, int y) {
+            return dataY[(size_t)y * strideY + x];
+        }, buffer.width, buffer.height, &marker);
+    }
+    
+    if (found) {
+        [_latencyMarkers addObject:@[@(marker), @(arrival)]];
+        // Sem WebSocket ninguém recolhe as leituras: manter só as mais recentes
+        if (_latencyMarkers.count > 100) {
+            [_latencyMarkers removeObjectAtIndex:0];
+        }
+    }
+}
+
+- (NSArray<NSArray<NSNumber *> *> *)takeLatencyMarkers {
+    @synchronized (self) {
+        NSArray *markers = [_latencyMarkers copy];
+        [_latencyMarkers removeAllObjects];
+        return markers;
     }
 }
 
@@ -61,9 +177,35 @@
 @property (nonatomic, assign) BOOL hasJoinedRoom;
 @property (nonatomic, assign) BOOL byeMessageSent;
 @property (nonatomic, assign, readwrite) BOOL userRequestedDisconnect;
+@property (nonatomic, strong, readwrite) NSString *videoLayer;
+
+// Retomada da sessão de sinalização após queda do WebSocket
+@property (nonatomic, strong) NSString *resumeToken;
+@property (nonatomic, strong) NSString *pendingResumeToken;
+
+// Configuração ICE recebida do servidor em 'server-info'
+@property (nonatomic, assign) BOOL iceHostOnly;
+
+// Contadores da última leitura de estatísticas (telemetria 'stats-report')
+@property (nonatomic, assign) CFTimeInterval lastStatsTimestamp;
+@property (nonatomic, assign) double lastStatsBytesReceived;
+@property (nonatomic, assign) double lastStatsPacketsReceived;
+@property (nonatomic, assign) double lastStatsPacketsLost;
+@property (nonatomic, assign) double lastStatsFramesDropped;
+
+// Geração das tarefas periódicas (keepalive, telemetria e latência): cada conexão inicia uma nova e encerra as anteriores
+@property (nonatomic, assign) NSUInteger reportGeneration;
+
+// Relógio do servidor estimado pelo par keepalive/keepalive-ack (latência de ponta a ponta)
+@property (nonatomic, strong) NSMutableArray<NSArray<NSNumber *> *> *clockSamples; // [diferença, ida e volta] em ms
+@property (nonatomic, assign) double lastLatency;
 
 // Propriedades para processamento de frames
 @property (nonatomic, assign) CVPixelBufferPoolRef pixelBufferPool;
+@property (nonatomic, assign) int poolWidth;
+@property (nonatomic, assign) int poolHeight;
+@property (nonatomic, assign) OSType poolFormat;
+@property (nonatomic, assign) double announcedFrameRate; // Framerate anunciado pelo publicador em 'video-format'
 @property (nonatomic, assign) CMFormatDescriptionRef formatDescription;
 @property (nonatomic, strong) dispatch_queue_t videoQueue;
 @property (nonatomic, strong) NSCache *frameCache;
@@ -90,6 +232,8 @@
         _videoQueue = dispatch_queue_create("com.webrtc.videoProcessing", DISPATCH_QUEUE_SERIAL);
         _frameCache = [[NSCache alloc] init];
         [_frameCache setCountLimit:5]; // Cache de 5 frames para suavizar reprodução
+        _clockSamples = [NSMutableArray array];
+        _lastLatency = -1;
         
         writeLog(@"[WebRTCManager] Inicializado");
     }
@@ -200,6 +344,7 @@
 
 - (void)performStopWebRTC {
     self.isReceivingFrames = NO;
+    self.reportGeneration++;
     
     // Limpar VideoTrack
     if (self.videoTrack) {
@@ -211,6 +356,7 @@
     self.frameCaptor.lastFrame = nil;
     self.frameCaptor.lastCVPixelBuffer = nil;
     self.frameCaptor.lastI420Buffer = nil;
+    [self.frameCaptor takeLatencyMarkers];
     
     // Limpar conexão WebSocket
     if (self.webSocketTask) {
@@ -272,10 +418,8 @@
     // Configurar RTCConfiguration otimizada para rede local
     RTCConfiguration *config = [[RTCConfiguration alloc] init];
     
-    // Otimização para rede local: usar apenas STUN simples
-    config.iceServers = @[
-        [[RTCIceServer alloc] initWithURLStrings:@[@"stun:stun.l.google.com:19302"]]
-    ];
+    // Servidores STUN/TURN chegam do servidor em 'server-info' (applyIceServers:)
+    config.iceServers = @[];
     
     // Otimizações de transporte
     config.iceTransportPolicy = RTCIceTransportPolicyAll;
@@ -340,12 +484,22 @@
                                                 delegate:self
                                            delegateQueue:[NSOperationQueue mainQueue]];
     
+    // Em uma reconexão, retomar a sessão anterior em vez de entrar na sala como novo cliente
+    self.pendingResumeToken = self.hasJoinedRoom ? self.resumeToken : nil;
+    self.resumeToken = nil;
+    
     self.webSocketTask = [self.session webSocketTaskWithURL:url];
     [self receiveWebSocketMessage];
     [self.webSocketTask resume];
     
-    // Enviar keepalive periodicamente
+    // Enviar keepalive, telemetria e medições de latência periodicamente
+    // Nova geração: os agendamentos da conexão anterior ainda pendentes não reagendam mais
+    self.reportGeneration++;
+    [self.clockSamples removeAllObjects];
     [self performKeepalive];
+    self.lastStatsTimestamp = 0;
+    [self performStatsReport];
+    [self performLatencyReport];
 }
 
 - (void)performKeepalive {
@@ -353,18 +507,183 @@
         return;
     }
     
+    // clientTime volta em keepalive-ack e alinha o relógio com o do servidor
     [self sendWebSocketMessage:@{
         @"type": @"keepalive",
-        @"timestamp": @((int)([[NSDate date] timeIntervalSince1970] * 1000))
+        @"clientTime": @([[NSDate date] timeIntervalSince1970] * 1000)
     }];
     
     // Agendar próximo keepalive
     __weak typeof(self) weakSelf = self;
+    NSUInteger generation = self.reportGeneration;
     dispatch_after(dispatch_time(DISPATCH_TIME_NOW, (int64_t)(5.0 * NSEC_PER_SEC)), dispatch_get_main_queue(), ^{
-        [weakSelf performKeepalive];
+        if (weakSelf.reportGeneration == generation) {
+            [weakSelf performKeepalive];
+        }
     });
 }
 
+- (void)performStatsReport {
+    if (!self.webSocketTask || self.webSocketTask.state != NSURLSessionTaskStateRunning) {
+        return;
+    }
+    
+    __weak typeof(self) weakSelf = self;
+    NSUInteger generation = self.reportGeneration;
+    if (self.peerConnection && self.hasJoinedRoom) {
+        [self.peerConnection statisticsWithCompletionHandler:^(RTCStatisticsReport *report) {
+            dispatch_async(dispatch_get_main_queue(), ^{
+                // Leitura de uma conexão anterior estragaria as diferenças da atual
+                if (weakSelf.reportGeneration == generation) {
+                    [weakSelf sendStatsReport:report];
+                }
+            });
+        }];
+    }
+    
+    // Agendar próxima leitura
+    dispatch_after(dispatch_time(DISPATCH_TIME_NOW, (int64_t)(2.0 * NSEC_PER_SEC)), dispatch_get_main_queue(), ^{
+        if (weakSelf.reportGeneration == generation) {
+            [weakSelf performStatsReport];
+        }
+    });
+}
+
+- (void)handleKeepaliveAck:(NSDictionary *)message {
+    if (![message[@"clientTime"] isKindOfClass:[NSNumber class]] || ![message[@"timestamp"] isKindOfClass:[NSNumber class]]) {
+        return;
+    }
+    
+    // O servidor respondeu no meio da ida e volta
+    double now = [[NSDate date] timeIntervalSince1970] * 1000;
+    double sent = [message[@"clientTime"] doubleValue];
+    double offset = [message[@"timestamp"] doubleValue] - (sent + now) / 2;
+    [self.clockSamples addObject:@[@(offset), @(now - sent)]];
+    if (self.clockSamples.count > kClockSamples) {
+        [self.clockSamples removeObjectAtIndex:0];
+    }
+}
+
+// Medição do relógio com menor ida e volta (nil antes da primeira resposta)
+- (NSArray<NSNumber *> *)bestClockSample {
+    NSArray<NSNumber *> *best = nil;
+    for (NSArray<NSNumber *> *sample in self.clockSamples) {
+        if (!best || [sample[1] doubleValue] < [best[1] doubleValue]) {
+            best = sample;
+        }
+    }
+    return best;
+}
+
+- (void)performLatencyReport {
+    if (!self.webSocketTask || self.webSocketTask.state != NSURLSessionTaskStateRunning) {
+        return;
+    }
+    
+    NSArray<NSArray<NSNumber *> *> *markers = [self.frameCaptor takeLatencyMarkers];
+    NSArray<NSNumber *> *clock = [self bestClockSample];
+    if (clock && self.hasJoinedRoom && markers.count > 0) {
+        NSMutableArray<NSNumber *> *samples = [NSMutableArray array];
+        for (NSArray<NSNumber *> *entry in markers) {
+            // Chegada no relógio do servidor menos o horário de envio, módulo 2^24 como no marcador
+            double latency = fmod([entry[1] doubleValue] + [clock[0] doubleValue] - [entry[0] doubleValue], kLatencyMarkerModulus);
+            if (latency < 0) latency += kLatencyMarkerModulus;
+            if (latency <= kLatencyMaxMs) {
+                [samples addObject:@(latency)];
+            }
+        }
+        
+        if (samples.count > 0) {
+            self.lastLatency = [samples.lastObject doubleValue];
+            [self sendWebSocketMessage:@{
+                @"type": @"latency-report",
+                @"roomId": @"ios-camera",
+                @"samples": samples,
+                @"clockRtt": clock[1]
+            }];
+        }
+    }
+    
+    // Agendar próximo relatório
+    __weak typeof(self) weakSelf = self;
+    NSUInteger generation = self.reportGeneration;
+    dispatch_after(dispatch_time(DISPATCH_TIME_NOW, (int64_t)(1.0 * NSEC_PER_SEC)), dispatch_get_main_queue(), ^{
+        if (weakSelf.reportGeneration == generation) {
+            [weakSelf performLatencyReport];
+        }
+    });
+}
+
+- (void)sendStatsReport:(RTCStatisticsReport *)report {
+    RTCStatistics *inbound = nil;
+    RTCStatistics *candidatePair = nil;
+    
+    for (RTCStatistics *stat in report.statistics.allValues) {
+        if ([stat.type isEqualToString:@"inbound-rtp"] && [stat.values[@"kind"] isEqual:@"video"]) {
+            inbound = stat;
+        } else if ([stat.type isEqualToString:@"candidate-pair"] && [stat.values[@"nominated"] boolValue]) {
+            candidatePair = stat;
+        }
+    }
+    
+    if (!inbound) {
+        return;
+    }
+    
+    NSDictionary *values = inbound.values;
+    CFTimeInterval timestamp = inbound.timestamp_us / 1000000.0;
+    double bytesReceived = [(NSNumber *)values[@"bytesReceived"] doubleValue];
+    double packetsReceived = [(NSNumber *)values[@"packetsReceived"] doubleValue];
+    double packetsLost = [(NSNumber *)values[@"packetsLost"] doubleValue];
+    double framesDropped = [(NSNumber *)values[@"framesDropped"] doubleValue];
+    
+    NSMutableDictionary *stats = [NSMutableDictionary dictionary];
+    
+    // Deltas desde a leitura anterior (bitrate em kbps, perda em %)
+    double elapsed = timestamp - self.lastStatsTimestamp;
+    if (self.lastStatsTimestamp > 0 && elapsed > 0) {
+        double received = MAX(0, packetsReceived - self.lastStatsPacketsReceived);
+        double lost = MAX(0, packetsLost - self.lastStatsPacketsLost);
+        stats[@"bitrate"] = @(MAX(0, bytesReceived - self.lastStatsBytesReceived) * 8 / 1000 / elapsed);
+        stats[@"packetLoss"] = @(received + lost > 0 ? lost / (received + lost) * 100 : 0);
+        stats[@"framesDropped"] = @(MAX(0, framesDropped - self.lastStatsFramesDropped));
+    }
+    
+    self.lastStatsTimestamp = timestamp;
+    self.lastStatsBytesReceived = bytesReceived;
+    self.lastStatsPacketsReceived = packetsReceived;
+    self.lastStatsPacketsLost = packetsLost;
+    self.lastStatsFramesDropped = framesDropped;
+    
+    if (values[@"framesPerSecond"]) {
+        stats[@"fps"] = values[@"framesPerSecond"];
+    }
+    if (values[@"jitter"]) {
+        stats[@"jitter"] = @([(NSNumber *)values[@"jitter"] doubleValue] * 1000);
+    }
+    if (values[@"frameWidth"] && values[@"frameHeight"]) {
+        stats[@"resolution"] = [NSString stringWithFormat:@"%@x%@", values[@"frameWidth"], values[@"frameHeight"]];
+    }
+    if ([values[@"decoderImplementation"] isKindOfClass:[NSString class]]) {
+        stats[@"decoderImplementation"] = values[@"decoderImplementation"];
+    }
+    
+    RTCStatistics *codec = [values[@"codecId"] isKindOfClass:[NSString class]] ? report.statistics[(NSString *)values[@"codecId"]] : nil;
+    if ([codec.values[@"mimeType"] isKindOfClass:[NSString class]]) {
+        stats[@"codec"] = [(NSString *)codec.values[@"mimeType"] stringByReplacingOccurrencesOfString:@"video/" withString:@""];
+    }
+    
+    if (candidatePair.values[@"currentRoundTripTime"]) {
+        stats[@"rtt"] = @([(NSNumber *)candidatePair.values[@"currentRoundTripTime"] doubleValue] * 1000);
+    }
+    
+    [self sendWebSocketMessage:@{
+        @"type": @"stats-report",
+        @"roomId": @"ios-camera",
+        @"stats": stats
+    }];
+}
+
 - (void)sendWebSocketMessage:(NSDictionary *)message {
     if (!self.webSocketTask || self.webSocketTask.state != NSURLSessionTaskStateRunning) {
         return;
@@ -437,7 +756,123 @@
         [self handleAnswerMessage:message];
     } else if ([type isEqualToString:@"ice-candidate"]) {
         [self handleCandidateMessage:message];
+    } else if ([type isEqualToString:@"video-format"]) {
+        [self handleVideoFormatMessage:message];
+    } else if ([type isEqualToString:@"keepalive-ack"]) {
+        [self handleKeepaliveAck:message];
+    } else if ([type isEqualToString:@"renegotiation-needed"]) {
+        // A nova oferta (com reinício ICE) chega em seguida pelo fluxo normal de 'offer'
+        writeLog(@"[WebRTCManager] Reinício ICE %@/%@ solicitado pelo servidor", message[@"attempt"], message[@"maxAttempts"]);
+    } else if ([type isEqualToString:@"ice-recovered"]) {
+        writeLog(@"[WebRTCManager] Conexão recuperada após %@ reinício(s) ICE", message[@"attempts"]);
+    } else if ([type isEqualToString:@"server-info"]) {
+        self.resumeToken = message[@"resumeToken"];
+        self.iceHostOnly = [message[@"iceHostOnly"] boolValue];
+        [self applyIceServers:message[@"iceServers"]];
+    } else if ([type isEqualToString:@"resumed"]) {
+        writeLog(@"[WebRTCManager] Sessão retomada como %@ (%@ mensagens pendentes)", message[@"clientId"], message[@"queued"]);
+        self.resumeToken = message[@"resumeToken"] ?: self.resumeToken;
+    } else if ([type isEqualToString:@"resume-failed"]) {
+        writeLog(@"[WebRTCManager] Retomada recusada: %@", message[@"message"]);
+        [self sendJoinMessage];
+    }
+}
+
+- (void)handleVideoFormatMessage:(NSDictionary *)message {
+    int width = [message[@"width"] intValue];
+    int height = [message[@"height"] intValue];
+    double frameRate = [message[@"frameRate"] doubleValue];
+    if (width <= 0 || height <= 0) {
+        return;
+    }
+    
+    writeLog(@"[WebRTCManager] Novo formato de vídeo do publicador: %dx%d@%.0ffps (%@, %@)",
+             width, height, frameRate, message[@"source"] ?: @"?", message[@"reason"] ?: @"?");
+    
+    // Descartar pool e cache do formato anterior; são recriados com o tamanho novo no próximo frame
+    dispatch_async(self.videoQueue, ^{
+        self.announcedFrameRate = frameRate;
+        [self resetPixelBufferPool];
+        [self.frameCache removeAllObjects];
+    });
+}
+
+- (void)resetPixelBufferPool {
+    if (self.pixelBufferPool) {
+        CVPixelBufferPoolRelease(self.pixelBufferPool);
+        self.pixelBufferPool = NULL;
+    }
+    if (self.formatDescription) {
+        CFRelease(self.formatDescription);
+        self.formatDescription = NULL;
+    }
+}
+
+- (void)applyIceServers:(NSArray *)servers {
+    if (!self.peerConnection || ![servers isKindOfClass:[NSArray class]]) {
+        return;
+    }
+    
+    NSMutableArray<RTCIceServer *> *iceServers = [NSMutableArray array];
+    for (NSDictionary *server in servers) {
+        if (![server isKindOfClass:[NSDictionary class]]) continue;
+        
+        id urls = server[@"urls"];
+        NSArray<NSString *> *urlStrings = [urls isKindOfClass:[NSArray class]] ? urls : (urls ? @[urls] : @[]);
+        if (urlStrings.count == 0) continue;
+        
+        [iceServers addObject:[[RTCIceServer alloc] initWithURLStrings:urlStrings
+                                                              username:server[@"username"]
+                                                            credential:server[@"credential"]]];
+    }
+    
+    // Trocar os servidores antes da coleta de candidatos (que começa com a resposta à oferta)
+    RTCConfiguration *config = self.peerConnection.configuration;
+    config.iceServers = iceServers;
+    if (![self.peerConnection setConfiguration:config]) {
+        writeLog(@"[WebRTCManager] Não foi possível aplicar os servidores ICE recebidos");
+        return;
     }
+    writeLog(@"[WebRTCManager] %lu servidor(es) ICE configurado(s)%@", (unsigned long)iceServers.count,
+             self.iceHostOnly ? @" (apenas candidatos host)" : @"");
+}
+
+- (void)sendJoinMessage {
+    NSMutableDictionary *joinMessage = [@{
+        @"type": @"join",
+        @"roomId": @"ios-camera",
+        @"role": @"ios-receiver"
+    } mutableCopy];
+    
+    if (self.roomToken.length > 0) {
+        joinMessage[@"token"] = self.roomToken;
+    }
+    
+    [self sendWebSocketMessage:joinMessage];
+    
+    self.hasJoinedRoom = YES;
+    
+    // Uma nova entrada na sala começa na camada completa: repetir a escolha anterior
+    if (self.videoLayer) {
+        [self sendSelectLayerMessage];
+    }
+}
+
+- (void)selectVideoLayer:(NSString *)layer {
+    self.videoLayer = layer;
+    writeLog(@"[WebRTCManager] Camada de vídeo escolhida: %@", layer);
+    
+    if (self.hasJoinedRoom) {
+        [self sendSelectLayerMessage];
+    }
+}
+
+- (void)sendSelectLayerMessage {
+    [self sendWebSocketMessage:@{
+        @"type": @"select-layer",
+        @"layer": self.videoLayer,
+        @"roomId": @"ios-camera"
+    }];
 }
 
 #pragma mark - Mensagens SDP
@@ -541,14 +976,20 @@
 #pragma mark - NSURLSessionWebSocketDelegate
 
 - (void)URLSession:(NSURLSession *)session webSocketTask:(NSURLSessionWebSocketTask *)webSocketTask didOpenWithProtocol:(NSString *)protocol {
-    if (!self.userRequestedDisconnect && !self.hasJoinedRoom) {
+    if (self.userRequestedDisconnect) {
+        return;
+    }
+    
+    if (self.hasJoinedRoom && self.pendingResumeToken.length > 0) {
         [self sendWebSocketMessage:@{
-            @"type": @"join",
-            @"roomId": @"ios-camera"
+            @"type": @"resume",
+            @"resumeToken": self.pendingResumeToken
         }];
-        
-        self.hasJoinedRoom = YES;
+    } else {
+        // Primeira conexão, ou reconexão sem sessão a retomar: entrar de novo na sala
+        [self sendJoinMessage];
     }
+    self.pendingResumeToken = nil;
 }
 
 - (void)URLSession:(NSURLSession *)session webSocketTask:(NSURLSessionWebSocketTask *)webSocketTask didCloseWithCode:(NSURLSessionWebSocketCloseCode)closeCode reason:(NSData *)reason {
@@ -616,10 +1057,18 @@
         case RTCIceConnectionStateConnected:
         case RTCIceConnectionStateCompleted:
             self.state = WebRTCManagerStateConnected;
+            [self sendIceState:newState == RTCIceConnectionStateConnected ? @"connected" : @"completed"];
             break;
             
         case RTCIceConnectionStateFailed:
         case RTCIceConnectionStateDisconnected:
+            // O servidor coordena o reinício ICE com o publicador
+            [self sendIceState:newState == RTCIceConnectionStateFailed ? @"failed" : @"disconnected"];
+            if (!self.userRequestedDisconnect) {
+                self.state = WebRTCManagerStateError;
+            }
+            break;
+            
         case RTCIceConnectionStateClosed:
             if (!self.userRequestedDisconnect) {
                 self.state = WebRTCManagerStateError;
@@ -631,7 +1080,23 @@
     }
 }
 
+- (void)sendIceState:(NSString *)iceState {
+    if (!self.hasJoinedRoom || self.userRequestedDisconnect) {
+        return;
+    }
+    
+    [self sendWebSocketMessage:@{
+        @"type": @"ice-state",
+        @"state": iceState,
+        @"roomId": @"ios-camera"
+    }];
+}
+
 - (void)peerConnection:(RTCPeerConnection *)peerConnection didGenerateIceCandidate:(RTCIceCandidate *)candidate {
+    if (self.iceHostOnly && ![candidate.sdp containsString:@" typ host"]) {
+        return;
+    }
+    
     [self sendWebSocketMessage:@{
         @"type": @"ice-candidate",
         @"candidate": candidate.sdp,
@@ -733,8 +1198,8 @@
     int width = i420Buffer.width;
     int height = i420Buffer.height;
     
-    // Criar pool de buffers se necessário
-    if (!self.pixelBufferPool) {
+    // Criar pool de buffers se necessário (ou se o frame mudou de tamanho/formato antes do aviso 'video-format')
+    if (!self.pixelBufferPool || width != self.poolWidth || height != self.poolHeight || format != self.poolFormat) {
         NSDictionary *poolAttributes = @{
             (NSString*)kCVPixelBufferPoolMinimumBufferCountKey: @(5),
         };
@@ -757,6 +1222,9 @@
                 CVPixelBufferPoolRelease(self.pixelBufferPool);
             }
             self.pixelBufferPool = newPool;
+            self.poolWidth = width;
+            self.poolHeight = height;
+            self.poolFormat = format;
         } else {
             return NULL;
         }
@@ -910,7 +1378,7 @@ static inline uint8_t clip(int value) {
         timing.presentationTimeStamp = CMSampleBufferGetPresentationTimeStamp(originSampleBuffer);
         timing.decodeTimeStamp = CMSampleBufferGetDecodeTimeStamp(originSampleBuffer);
     } else {
-        timing.duration = CMTimeMake(1, 30);
+        timing.duration = CMTimeMake(1, self.announcedFrameRate > 0 ? (int32_t)round(self.announcedFrameRate) : 30);
         timing.presentationTimeStamp = CMTimeMakeWithSeconds(CACurrentMediaTime(), 90000);
         timing.decodeTimeStamp = kCMTimeInvalid;
     }
@@ -946,6 +1414,16 @@ static inline uint8_t clip(int value) {
             stats[@"frameHeight"] = @(self.frameCaptor.lastFrame.height);
             stats[@"frameRotation"] = @(self.frameCaptor.lastFrame.rotation);
         }
+        
+        // Última latência de ponta a ponta medida pelo marcador do publicador e diferença para o relógio do servidor
+        NSArray<NSNumber *> *clock = [self bestClockSample];
+        if (clock) {
+            stats[@"clockOffset"] = clock[0];
+            stats[@"clockRtt"] = clock[1];
+        }
+        if (self.lastLatency >= 0) {
+            stats[@"latency"] = @(self.lastLatency);
+        }
     }
     
     return stats;
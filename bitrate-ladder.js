@@ -0,0 +1,52 @@
+/**
+ * Escada do controle adaptativo de bitrate do publicador
+ * Cada degrau reduz o bitrate máximo do encoder e, opcionalmente, a resolução e o framerate enviados;
+ * o publicador desce degraus com perda, RTT alto ou limitação do encoder e sobe com a rede estável
+ */
+
+/**
+ * Interpretar um degrau no formato "<% do bitrate máximo>/<redução de resolução>[/<fps máx>]"
+ * @return {Object|null} - { percent, scale, framerate } ou null se o degrau for inválido
+ */
+function parseLadderStep(entry) {
+  const [percent, scale, framerate] = String(entry).split('/').map(Number);
+  if (!(percent > 0 && percent <= 100) || !(scale >= 1)) return null;
+  if (framerate !== undefined && !(framerate > 0)) return null;
+  return { percent, scale, framerate: framerate || null };
+}
+
+/**
+ * Montar a escada a partir do perfil de qualidade da sala
+ * O bitrate de cada degrau respeita o piso (minBitrate) e o framerate nunca passa do alvo da sala
+ * @param {Object} quality - Perfil da sala (bitrate, minBitrate, framerate, abrLadder)
+ * @return {Array} - [{ bitrate (kbps), scale, framerate }], do degrau mais alto ao mais baixo
+ */
+function ladderFromQuality(quality) {
+  const maxBitrate = quality.bitrate;
+  const minBitrate = Math.min(quality.minBitrate || maxBitrate, maxBitrate);
+  const steps = (quality.abrLadder && quality.abrLadder.length > 0 ? quality.abrLadder : ['100/1'])
+    .map(parseLadderStep)
+    .filter(Boolean);
+
+  const ladder = [];
+  steps.forEach(step => {
+    const rung = {
+      bitrate: Math.max(minBitrate, Math.round(maxBitrate * step.percent / 100)),
+      scale: step.scale,
+      framerate: step.framerate ? Math.min(step.framerate, quality.framerate) : quality.framerate
+    };
+
+    // Degraus que ficaram iguais ao anterior (ex.: vários presos no piso) não mudariam nada
+    const previous = ladder[ladder.length - 1];
+    if (previous && previous.bitrate === rung.bitrate && previous.scale === rung.scale && previous.framerate === rung.framerate) {
+      return;
+    }
+    ladder.push(rung);
+  });
+  return ladder;
+}
+
+module.exports = {
+  ladderFromQuality,
+  parseLadderStep
+};
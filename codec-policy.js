@@ -0,0 +1,150 @@
+/**
+ * Política de negociação de codecs de vídeo
+ * Lista ordenada de preferências com restrição de perfil opcional (ex.: H264/42e01f, H265, VP9/2),
+ * remoção opcional dos codecs não permitidos e identificação do codec escolhido na resposta
+ */
+
+const SDP = require('./sdp');
+
+// Nomes alternativos aceitos na lista de preferências
+const CODEC_ALIASES = {
+  HEVC: 'H265',
+  AVC: 'H264'
+};
+
+// Parâmetro fmtp que identifica o perfil de cada codec
+const PROFILE_PARAMS = {
+  H264: 'profile-level-id',
+  H265: 'profile-id',
+  VP9: 'profile-id',
+  AV1: 'profile'
+};
+
+// Codecs que não carregam vídeo por si (retransmissão, redundância e FEC)
+const AUXILIARY_CODECS = ['RTX', 'RED', 'ULPFEC', 'FLEXFEC-03'];
+
+function normalizeCodecName(name) {
+  const upper = String(name).toUpperCase();
+  return CODEC_ALIASES[upper] || upper;
+}
+
+function isAuxiliaryCodec(codec) {
+  return !codec.name || AUXILIARY_CODECS.includes(codec.name.toUpperCase());
+}
+
+/**
+ * Montar a política a partir do perfil de qualidade da sala
+ * @param {Object} quality - Perfil da sala (codecs, codecStrict, codec)
+ * @return {Object} - { preferences: [{ codec, profile }], strict }
+ */
+function policyFromQuality(quality) {
+  const entries = quality.codecs && quality.codecs.length > 0 ? quality.codecs : [quality.codec];
+  return {
+    preferences: entries.map(entry => {
+      const [codec, profile] = String(entry).split('/');
+      return { codec: normalizeCodecName(codec), profile: profile ? profile.toLowerCase() : null };
+    }),
+    strict: Boolean(quality.codecStrict)
+  };
+}
+
+/**
+ * Perfil anunciado por um codec, conforme o parâmetro fmtp do seu tipo
+ */
+function getCodecProfile(codec) {
+  const param = PROFILE_PARAMS[normalizeCodecName(codec.name)];
+  if (!param) return null;
+  const value = SDP.getFmtpParam(codec, param);
+  return value === undefined || value === null ? null : String(value).toLowerCase();
+}
+
+/**
+ * Verificar se um codec atende a uma entrada da política
+ * Para H.264 compara profile_idc e restrições (4 primeiros dígitos); o nível é negociável
+ */
+function matchesPreference(codec, preference) {
+  if (!codec.name || normalizeCodecName(codec.name) !== preference.codec) return false;
+  if (!preference.profile) return true;
+
+  const profile = getCodecProfile(codec);
+  if (preference.codec === 'H264') {
+    // Sem profile-level-id o padrão do RFC 6184 é Baseline 42000a
+    const offered = profile || '42000a';
+    return preference.profile.length === 6
+      ? offered.substring(0, 4) === preference.profile.substring(0, 4)
+      : offered.startsWith(preference.profile);
+  }
+  return (profile || '0') === preference.profile;
+}
+
+/**
+ * Posição de um codec na política (Infinity se não permitido); RTX herda a posição do codec associado
+ */
+function rankCodec(media, codec, policy) {
+  if (!codec) return Infinity;
+
+  if (codec.name && codec.name.toUpperCase() === 'RTX') {
+    const associated = SDP.getCodec(media, SDP.getFmtpParam(codec, 'apt'));
+    return associated ? rankCodec(media, associated, policy) : Infinity;
+  }
+
+  const index = policy.preferences.findIndex(preference => matchesPreference(codec, preference));
+  return index < 0 ? Infinity : index;
+}
+
+/**
+ * Aplicar a política a uma seção de vídeo: reordenar payloads e, no modo estrito, remover não permitidos
+ * @param {Object} media - Seção de mídia do modelo SDP
+ * @param {Object} policy - Retorno de policyFromQuality()
+ * @return {Object} - { removed: [codecs], kept: boolean } (kept = modo estrito ignorado por falta de codec permitido)
+ */
+function applyCodecPolicy(media, policy) {
+  const rank = (codec) => rankCodec(media, codec, policy);
+  const result = { removed: [], kept: false };
+
+  if (policy.strict) {
+    const allowed = media.codecs.filter(codec => !isAuxiliaryCodec(codec) && rank(codec) !== Infinity);
+    if (allowed.length === 0) {
+      // Remover tudo deixaria a seção sem vídeo; manter o SDP e apenas reordenar
+      result.kept = true;
+    } else {
+      result.removed = SDP.removeCodecs(media, codec => !isAuxiliaryCodec(codec) && rank(codec) === Infinity);
+    }
+  }
+
+  SDP.prioritizeCodecs(media, rank);
+  return result;
+}
+
+/**
+ * Codec de vídeo escolhido pelo respondente (primeiro payload de cada seção de vídeo da resposta)
+ * @param {string} sdp - SDP de resposta
+ * @return {Object[]} - [{ mid, codec, payload, profile }]
+ */
+function getSelectedVideoCodecs(sdp) {
+  if (!sdp) return [];
+
+  return SDP.getMedia(SDP.parse(sdp), 'video')
+    .filter(media => media.port !== 0)
+    .map(media => {
+      const codec = media.payloads
+        .map(payload => SDP.getCodec(media, payload))
+        .find(candidate => candidate && !isAuxiliaryCodec(candidate));
+      return codec ? {
+        mid: SDP.getAttribute(media, 'mid') || null,
+        codec: normalizeCodecName(codec.name),
+        payload: codec.payload,
+        profile: getCodecProfile(codec)
+      } : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  policyFromQuality,
+  applyCodecPolicy,
+  getCodecProfile,
+  getSelectedVideoCodecs,
+  isAuxiliaryCodec,
+  normalizeCodecName
+};
@@ -0,0 +1,483 @@
+/**
+ * Carregamento da configuração do servidor WebRTC
+ * Combina, em ordem de precedência crescente: valores padrão, preset nomeado,
+ * arquivo de configuração (JSON ou YAML), variáveis de ambiente e flags de linha de comando
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Valores padrão, otimizados para redes locais de alta velocidade
+const DEFAULTS = {
+  PRESET: '4k30', // Preset de qualidade aplicado antes das demais fontes
+  PORT: 8080,
+  MAX_BITRATE: 50000, // 50Mbps para WiFi 5GHz
+  MIN_BITRATE: 1000, // Piso do controle adaptativo de bitrate, em kbps
+  ABR_ENABLED: true, // Controle adaptativo de bitrate no publicador (perda, RTT, limitação do encoder)
+  ABR_LADDER: ['100/1', '70/1', '50/1.5', '30/2', '15/2/24', '8/3/15'], // Degraus: % do bitrate máximo/redução de resolução[/fps máx]
+  H264_PROFILE: '640032', // High profile, Level 5.0 (4K suporte)
+  TARGET_RESOLUTION: '3840x2160', // 4K UHD
+  TARGET_FRAMERATE: 30,
+  PREFERRED_CODEC: 'H264', // Codec priorizado na seção de vídeo do SDP
+  CODEC_PREFERENCES: null, // Lista ordenada com perfil opcional (ex.: H264/42e01f,H264/640c1f,VP8); null = PREFERRED_CODEC
+  CODEC_STRICT: false, // Remover do SDP os codecs de vídeo fora da lista (e seus RTX)
+  VIDEO_LAYERING: 'single', // Camadas enviadas pelo publicador: single, simulcast (rids f/h/q) ou svc (VP9/AV1)
+  SVC_MODE: 'L3T3_KEY', // scalabilityMode usado com VIDEO_LAYERING=svc
+  PROCESSING_CROP: 'none', // Recorte centralizado do vídeo do publicador para a proporção da saída (ex.: 9:16)
+  PROCESSING_ROTATION: '0', // Rotação do vídeo do publicador, em graus
+  PROCESSING_MIRROR: false, // Espelhar horizontalmente o vídeo do publicador
+  PROCESSING_SCALE: 100, // Escala do vídeo processado, em % do tamanho recortado
+  PROCESSING_OVERLAY: false, // Sobrepor horário de envio e contador de quadros (medição de latência)
+  PROCESSING_LATENCY_MARKER: false, // Marcador binário do horário de envio no rodapé do vídeo, lido pelo receptor iOS
+  SDP_REWRITE: true, // Reescrever ofertas e respostas (desativar ajuda a depurar a negociação)
+  OPUS_STEREO: false, // Áudio do microfone em estéreo
+  OPUS_MAX_AVERAGE_BITRATE: 128000, // Bitrate médio máximo do Opus, em bps
+  OPUS_FEC: true, // Correção de erros in-band do Opus
+  OPUS_DTX: false, // Transmissão descontínua (economiza banda no silêncio)
+  DEFAULT_ROOM: 'ios-camera',
+  PING_INTERVAL: 5000, // 5 segundos para detectar desconexões rapidamente
+  CLEANUP_INTERVAL: 10000, // 10 segundos para limpeza de salas
+  RESUME_GRACE_PERIOD: 15000, // Tempo para um cliente desconectado retomar a sessão (0 desativa)
+  RESUME_QUEUE_SIZE: 200, // Mensagens guardadas para o cliente enquanto ele reconecta
+  ICE_RESTART_BASE_DELAY: 2000, // Espera antes do primeiro reinício ICE; dobra a cada nova tentativa
+  ICE_RESTART_MAX_DELAY: 30000, // Limite da espera entre tentativas de reinício ICE
+  ICE_RESTART_MAX_ATTEMPTS: 5, // Reinícios ICE antes de renegociar a conexão do zero
+  ICE_HOST_ONLY: false, // Apenas candidatos host (LAN pura): sem STUN/TURN e candidatos não-host descartados
+  STUN_URLS: null, // Servidores STUN entregues aos clientes (ex.: stun:192.168.0.10:3478)
+  STUN_SERVER_PORT: null, // Porta UDP do servidor STUN embutido (null = desativado)
+  TURN_URLS: null, // Servidores TURN (ex.: turn:192.168.0.10:3478?transport=udp)
+  TURN_SECRET: null, // Segredo compartilhado com o TURN para credenciais temporárias (REST API)
+  TURN_CREDENTIAL_TTL: 86400, // Validade das credenciais TURN, em segundos
+  LOG_LEVEL: 'verbose', // verbose, info, warning, error (ajustável em tempo real via /admin/log-level)
+  LOG_FORMAT: 'text', // text ou json (uma linha JSON por registro)
+  LOG_FILE: 'webrtc-server.log', // null para registrar apenas no console
+  LOG_ROTATE: 'size', // none, size (LOG_MAX_SIZE) ou daily
+  LOG_MAX_SIZE: 10 * 1024 * 1024, // 10MB por arquivo na rotação por tamanho
+  LOG_MAX_FILES: 5, // Arquivos rotacionados mantidos
+  MAX_PAYLOAD_SIZE: 64 * 1024 * 1024, // 64MB para permitir SDP grandes e candidatos ICE
+  STATS_HISTORY_SIZE: 120, // Amostras de telemetria mantidas por cliente/peer em cada sala
+  LATENCY_WINDOW_SIZE: 600, // Medições de latência de ponta a ponta mantidas por sessão (publicador -> espectador)
+  RECORDINGS_DIR: 'recordings', // Gravações enviadas pelo publicador (<dir>/<sala>/<sessão>/)
+  RECORDING_MAX_CHUNK_SIZE: 16 * 1024 * 1024, // 16MB por chunk enviado
+  RECORDING_MAX_SIZE: 4 * 1024 * 1024 * 1024, // 4GB por sessão de gravação
+  JOURNAL_ENABLED: false, // Registrar as mensagens de sinalização de cada sala em NDJSON
+  JOURNAL_DIR: 'journal', // Arquivos <sala>.ndjson do journal
+
+  // Controle de acesso
+  SHARED_SECRET: null, // Chave pré-compartilhada exigida no 'join' de qualquer sala
+  ROOM_SECRETS: {}, // Segredos por sala (roomId -> segredo), têm precedência sobre SHARED_SECRET
+  ADMIN_TOKEN: null, // Token para /admin/* e /info; sem token, apenas loopback
+  LOCAL_ONLY: false, // Recusar conexões fora das faixas de rede privada
+  CORS_ORIGIN: null, // Origem permitida para CORS (null = apenas mesma origem)
+};
+
+// Presets de qualidade alternáveis sem editar o código
+const PRESETS = {
+  '4k30': {
+    MAX_BITRATE: 50000,
+    H264_PROFILE: '640032', // High, Level 5.0
+    TARGET_RESOLUTION: '3840x2160',
+    TARGET_FRAMERATE: 30
+  },
+  '1080p60': {
+    MAX_BITRATE: 25000,
+    H264_PROFILE: '64002a', // High, Level 4.2 (1080p60)
+    TARGET_RESOLUTION: '1920x1080',
+    TARGET_FRAMERATE: 60
+  },
+  'low-latency-720p': {
+    MAX_BITRATE: 8000,
+    H264_PROFILE: '42e020', // Constrained Baseline, Level 3.2 (sem B-frames)
+    TARGET_RESOLUTION: '1280x720',
+    TARGET_FRAMERATE: 60
+  }
+};
+
+// Tipo e limites aceitos para cada chave
+const SCHEMA = {
+  PRESET: { type: 'enum', values: Object.keys(PRESETS) },
+  PORT: { type: 'integer', min: 1, max: 65535 },
+  MAX_BITRATE: { type: 'integer', min: 100, max: 500000 },
+  MIN_BITRATE: { type: 'integer', min: 100, max: 500000 },
+  ABR_ENABLED: { type: 'boolean' },
+  ABR_LADDER: {
+    type: 'list',
+    pattern: /^\d{1,3}\/\d{1,2}(\.\d+)?(\/\d{1,3})?$/,
+    hint: 'degraus <% do bitrate máximo>/<redução de resolução>[/<fps máx>] separados por vírgula, ex.: 100/1,50/1.5,25/2/24'
+  },
+  H264_PROFILE: { type: 'string', pattern: /^[0-9a-fA-F]{6}$/, hint: '6 dígitos hexadecimais, ex.: 640032' },
+  TARGET_RESOLUTION: { type: 'string', pattern: /^\d{2,5}x\d{2,5}$/, hint: 'LARGURAxALTURA, ex.: 1920x1080' },
+  TARGET_FRAMERATE: { type: 'integer', min: 1, max: 240 },
+  PREFERRED_CODEC: { type: 'enum', values: ['H264', 'H265', 'VP8', 'VP9', 'AV1'] },
+  CODEC_PREFERENCES: {
+    type: 'list',
+    nullable: true,
+    pattern: /^(H264|H265|HEVC|VP8|VP9|AV1)(\/[0-9a-fA-F]{1,6})?$/i,
+    hint: 'codecs separados por vírgula, com perfil opcional, ex.: H264/42e01f,H264/640c1f,VP8',
+    // Nome do codec em maiúsculas, perfil em minúsculas: H264/42E01F -> H264/42e01f
+    normalize: item => {
+      const [name, profile] = item.split('/');
+      return profile ? `${name.toUpperCase()}/${profile.toLowerCase()}` : name.toUpperCase();
+    }
+  },
+  CODEC_STRICT: { type: 'boolean' },
+  VIDEO_LAYERING: { type: 'enum', values: ['single', 'simulcast', 'svc'] },
+  SVC_MODE: { type: 'string', pattern: /^[LS][1-3]T[1-3](_KEY)?$/, hint: 'modo de escalabilidade WebRTC-SVC, ex.: L3T3_KEY, L1T3, S2T1' },
+  PROCESSING_CROP: { type: 'string', pattern: /^(none|[1-9]\d?:[1-9]\d?)$/, hint: 'none ou proporção LARGURA:ALTURA, ex.: 9:16' },
+  PROCESSING_ROTATION: { type: 'enum', values: ['0', '90', '180', '270'] },
+  PROCESSING_MIRROR: { type: 'boolean' },
+  PROCESSING_SCALE: { type: 'integer', min: 10, max: 100 },
+  PROCESSING_OVERLAY: { type: 'boolean' },
+  PROCESSING_LATENCY_MARKER: { type: 'boolean' },
+  SDP_REWRITE: { type: 'boolean' },
+  OPUS_STEREO: { type: 'boolean' },
+  OPUS_MAX_AVERAGE_BITRATE: { type: 'integer', min: 6000, max: 510000 },
+  OPUS_FEC: { type: 'boolean' },
+  OPUS_DTX: { type: 'boolean' },
+  DEFAULT_ROOM: { type: 'string', pattern: /^[\w.-]+$/, hint: 'letras, números, ".", "_" ou "-"' },
+  PING_INTERVAL: { type: 'integer', min: 1000 },
+  CLEANUP_INTERVAL: { type: 'integer', min: 1000 },
+  RESUME_GRACE_PERIOD: { type: 'integer', min: 0, max: 600000 },
+  RESUME_QUEUE_SIZE: { type: 'integer', min: 1, max: 10000 },
+  ICE_RESTART_BASE_DELAY: { type: 'integer', min: 100, max: 60000 },
+  ICE_RESTART_MAX_DELAY: { type: 'integer', min: 100, max: 600000 },
+  ICE_RESTART_MAX_ATTEMPTS: { type: 'integer', min: 1, max: 50 },
+  ICE_HOST_ONLY: { type: 'boolean' },
+  STUN_URLS: { type: 'list', nullable: true, pattern: /^stuns?:[^\s,]+$/, hint: 'URLs separadas por vírgula, ex.: stun:192.168.0.10:3478' },
+  STUN_SERVER_PORT: { type: 'integer', nullable: true, min: 1, max: 65535 },
+  TURN_URLS: { type: 'list', nullable: true, pattern: /^turns?:[^\s,]+$/, hint: 'URLs separadas por vírgula, ex.: turn:192.168.0.10:3478?transport=udp' },
+  TURN_SECRET: { type: 'string', nullable: true },
+  TURN_CREDENTIAL_TTL: { type: 'integer', min: 60, max: 7 * 24 * 3600 },
+  LOG_LEVEL: { type: 'enum', values: ['verbose', 'info', 'warning', 'error'] },
+  LOG_FORMAT: { type: 'enum', values: ['text', 'json'] },
+  LOG_FILE: { type: 'string', nullable: true },
+  LOG_ROTATE: { type: 'enum', values: ['none', 'size', 'daily'] },
+  LOG_MAX_SIZE: { type: 'integer', min: 64 * 1024 },
+  LOG_MAX_FILES: { type: 'integer', min: 1, max: 100 },
+  MAX_PAYLOAD_SIZE: { type: 'integer', min: 1024 },
+  STATS_HISTORY_SIZE: { type: 'integer', min: 10, max: 3600 },
+  LATENCY_WINDOW_SIZE: { type: 'integer', min: 10, max: 100000 },
+  RECORDINGS_DIR: { type: 'string' },
+  RECORDING_MAX_CHUNK_SIZE: { type: 'integer', min: 64 * 1024 },
+  RECORDING_MAX_SIZE: { type: 'integer', min: 1024 * 1024 },
+  JOURNAL_ENABLED: { type: 'boolean' },
+  JOURNAL_DIR: { type: 'string' },
+  SHARED_SECRET: { type: 'string', nullable: true },
+  ROOM_SECRETS: { type: 'object' },
+  ADMIN_TOKEN: { type: 'string', nullable: true },
+  LOCAL_ONLY: { type: 'boolean' },
+  CORS_ORIGIN: { type: 'string', nullable: true }
+};
+
+/**
+ * Erro de configuração com mensagem pronta para o usuário
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// --max-bitrate -> MAX_BITRATE
+function flagToKey(flag) {
+  return flag.replace(/^--/, '').replace(/-/g, '_').toUpperCase();
+}
+
+// MAX_BITRATE -> --max-bitrate
+function keyToFlag(key) {
+  return '--' + key.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Converter e validar um valor conforme o esquema da chave
+ */
+function coerceValue(key, value, source) {
+  const rule = SCHEMA[key];
+  const fail = (expected) => {
+    throw new ConfigError(`Valor inválido para ${key} (${source}): esperado ${expected}, recebido ${JSON.stringify(value)}`);
+  };
+
+  if (value === null || value === '') {
+    if (rule.nullable) return null;
+    fail('um valor não vazio');
+  }
+
+  switch (rule.type) {
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number)) fail('um número inteiro');
+      if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        fail(`um inteiro entre ${rule.min} e ${rule.max !== undefined ? rule.max : '∞'}`);
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|1|yes|sim)$/i.test(String(value))) return true;
+      if (/^(false|0|no|nao|não)$/i.test(String(value))) return false;
+      return fail('true ou false');
+
+    case 'enum':
+      if (!rule.values.includes(String(value))) fail(`um de: ${rule.values.join(', ')}`);
+      return String(value);
+
+    case 'list': {
+      const items = Array.isArray(value) ? value.map(String) : String(value).split(',');
+      const list = items.map(item => item.trim()).filter(item => item.length > 0);
+      if (list.length === 0 || list.some(item => rule.pattern && !rule.pattern.test(item))) fail(rule.hint || 'uma lista');
+      return rule.normalize ? list.map(rule.normalize) : list;
+    }
+
+    case 'object':
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          fail('um objeto JSON');
+        }
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) fail('um objeto');
+      return value;
+
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') fail('um texto');
+      if (rule.pattern && !rule.pattern.test(String(value))) fail(rule.hint || `o formato ${rule.pattern}`);
+      return String(value);
+  }
+}
+
+/**
+ * Ler arquivo de configuração JSON ou YAML
+ */
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  let content;
+
+  try {
+    content = fs.readFileSync(resolved, 'utf8');
+  } catch (e) {
+    throw new ConfigError(`Não foi possível ler o arquivo de configuração ${resolved}: ${e.message}`);
+  }
+
+  let parsed;
+  if (/\.ya?ml$/i.test(resolved)) {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (e) {
+      throw new ConfigError(`Arquivos YAML exigem o pacote js-yaml (npm install js-yaml): ${resolved}`);
+    }
+    try {
+      parsed = yaml.load(content);
+    } catch (e) {
+      throw new ConfigError(`YAML inválido em ${resolved}: ${e.message}`);
+    }
+  } else {
+    try {
+      parsed = JSON.parse(content);
+    } catch (e) {
+      throw new ConfigError(`JSON inválido em ${resolved}: ${e.message}`);
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(`O arquivo ${resolved} deve conter um objeto de configuração`);
+  }
+
+  // Rejeitar chaves desconhecidas para denunciar erros de digitação
+  Object.keys(parsed).forEach(key => {
+    if (!SCHEMA[key]) {
+      throw new ConfigError(`Chave desconhecida "${key}" em ${resolved}. Chaves válidas: ${Object.keys(SCHEMA).join(', ')}`);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Interpretar flags de linha de comando (--chave valor ou --chave=valor)
+ */
+function parseArgs(argv) {
+  const values = {};
+  let configFile = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      throw new ConfigError(`Argumento inesperado: ${arg} (use --help)`);
+    }
+
+    const eq = arg.indexOf('=');
+    const flag = eq >= 0 ? arg.substring(0, eq) : arg;
+    let value = eq >= 0 ? arg.substring(eq + 1) : undefined;
+    const key = flagToKey(flag);
+
+    if (key !== 'CONFIG' && !SCHEMA[key]) {
+      throw new ConfigError(`Flag desconhecida: ${flag} (use --help)`);
+    }
+
+    if (value === undefined) {
+      // Flags booleanas podem ser usadas sem valor (ex.: --local-only)
+      if (key !== 'CONFIG' && SCHEMA[key].type === 'boolean' &&
+          (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+        value = 'true';
+      } else if (i + 1 < argv.length) {
+        value = argv[++i];
+      } else {
+        throw new ConfigError(`Flag ${flag} requer um valor`);
+      }
+    }
+
+    if (key === 'CONFIG') {
+      configFile = value;
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return { values, configFile, help };
+}
+
+/**
+ * Texto de ajuda da linha de comando
+ */
+function usage() {
+  const lines = [
+    'Uso: node server.js [--config arquivo.json|arquivo.yaml] [--preset nome] [--chave valor ...]',
+    '',
+    'Precedência: padrões < preset < arquivo < variáveis de ambiente < flags',
+    `Presets: ${Object.keys(PRESETS).join(', ')}`,
+    'Arquivo de configuração também pode ser indicado pela variável CONFIG_FILE',
+    '',
+    'Opções (variável de ambiente entre parênteses):'
+  ];
+  Object.keys(SCHEMA).forEach(key => {
+    lines.push(`  ${keyToFlag(key).padEnd(22)} (${key}) padrão: ${JSON.stringify(DEFAULTS[key])}`);
+  });
+  return lines.join('\n');
+}
+
+// Campos de qualidade ajustáveis por sala -> chave correspondente da configuração
+const QUALITY_FIELDS = {
+  bitrate: 'MAX_BITRATE',
+  minBitrate: 'MIN_BITRATE',
+  adaptiveBitrate: 'ABR_ENABLED',
+  abrLadder: 'ABR_LADDER',
+  resolution: 'TARGET_RESOLUTION',
+  framerate: 'TARGET_FRAMERATE',
+  codec: 'PREFERRED_CODEC',
+  codecs: 'CODEC_PREFERENCES',
+  layering: 'VIDEO_LAYERING',
+  scalabilityMode: 'SVC_MODE',
+  processingCrop: 'PROCESSING_CROP',
+  processingRotation: 'PROCESSING_ROTATION',
+  processingMirror: 'PROCESSING_MIRROR',
+  processingScale: 'PROCESSING_SCALE',
+  processingOverlay: 'PROCESSING_OVERLAY',
+  processingLatencyMarker: 'PROCESSING_LATENCY_MARKER',
+  codecStrict: 'CODEC_STRICT',
+  sdpRewrite: 'SDP_REWRITE',
+  opusStereo: 'OPUS_STEREO',
+  opusMaxAverageBitrate: 'OPUS_MAX_AVERAGE_BITRATE',
+  opusFec: 'OPUS_FEC',
+  opusDtx: 'OPUS_DTX',
+  h264Profile: 'H264_PROFILE'
+};
+
+/**
+ * Perfil de qualidade inicial de uma sala a partir da configuração global
+ */
+function qualityFromConfig(config) {
+  const quality = {};
+  Object.entries(QUALITY_FIELDS).forEach(([field, key]) => {
+    quality[field] = config[key];
+  });
+  return quality;
+}
+
+/**
+ * Validar alterações parciais no perfil de qualidade de uma sala
+ * @param {Object} changes - Ex.: { bitrate: 20000, resolution: '1920x1080' }
+ * @param {string} source - Origem da alteração, usada nas mensagens de erro
+ * @return {Object} - Alterações convertidas para os tipos corretos
+ */
+function validateQuality(changes, source) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ConfigError(`Configuração de qualidade inválida (${source}): esperado um objeto`);
+  }
+
+  const validated = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    const key = QUALITY_FIELDS[field];
+    if (!key) {
+      throw new ConfigError(`Campo desconhecido "${field}" (${source}). Campos válidos: ${Object.keys(QUALITY_FIELDS).join(', ')}`);
+    }
+    validated[field] = coerceValue(key, value, `${source} ${field}`);
+  });
+  return validated;
+}
+
+/**
+ * Montar a configuração final a partir de todas as fontes
+ * @param {string[]} argv - Argumentos de linha de comando (sem node e script)
+ * @param {Object} env - Variáveis de ambiente
+ * @return {Object} - Configuração validada
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    return { HELP: usage() };
+  }
+
+  // Coletar valores explícitos de cada fonte, já validados
+  const sources = [];
+
+  const configFile = args.configFile || env.CONFIG_FILE;
+  if (configFile) {
+    sources.push({ name: `arquivo ${configFile}`, values: readConfigFile(configFile) });
+  }
+
+  const envValues = {};
+  Object.keys(SCHEMA).forEach(key => {
+    if (env[key] !== undefined) envValues[key] = env[key];
+  });
+  sources.push({ name: 'variável de ambiente', values: envValues });
+  sources.push({ name: 'linha de comando', values: args.values });
+
+  const explicit = {};
+  sources.forEach(source => {
+    Object.entries(source.values).forEach(([key, value]) => {
+      explicit[key] = coerceValue(key, value, source.name === 'linha de comando'
+        ? `flag ${keyToFlag(key)}`
+        : `${source.name} ${key}`);
+    });
+  });
+
+  // Preset escolhido é aplicado sobre os padrões; valores explícitos prevalecem
+  const preset = explicit.PRESET || DEFAULTS.PRESET;
+  const config = Object.assign({}, DEFAULTS, PRESETS[preset], explicit, { PRESET: preset });
+
+  // Chaves do preset que foram sobrescritas explicitamente
+  config.PRESET_OVERRIDES = Object.keys(PRESETS[preset])
+    .filter(key => explicit[key] !== undefined && explicit[key] !== PRESETS[preset][key]);
+
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  qualityFromConfig,
+  validateQuality,
+  ConfigError,
+  PRESETS,
+  DEFAULTS
+};
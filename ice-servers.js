@@ -0,0 +1,68 @@
+/**
+ * Servidores ICE entregues aos clientes em 'server-info'
+ * As credenciais TURN seguem a REST API de TURN (usuário "<expiração>:<id>", senha HMAC-SHA1 em base64),
+ * o formato aceito pelo coturn com use-auth-secret/static-auth-secret
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Gerar credenciais TURN temporárias a partir do segredo compartilhado
+ * @param {string} secret - Segredo compartilhado com o servidor TURN
+ * @param {string} userId - Identificador incluído no usuário (ID do cliente)
+ * @param {number} ttl - Validade em segundos
+ * @return {Object} - { username, credential, expiresAt }
+ */
+function createTurnCredentials(secret, userId, ttl, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + ttl;
+  const username = userId ? `${expiresAt}:${userId}` : String(expiresAt);
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt };
+}
+
+/**
+ * Montar a lista de iceServers (formato RTCIceServer) para um cliente
+ * @param {Object} config - Configuração do servidor
+ * @param {Object} client - { host: endereço pelo qual o cliente chegou ao servidor, userId }
+ * @return {Array} - Vazia no modo apenas host
+ */
+function getIceServers(config, client = {}) {
+  if (config.ICE_HOST_ONLY) return [];
+
+  const iceServers = [];
+  const stunUrls = (config.STUN_URLS || []).slice();
+
+  // STUN embutido, anunciado no mesmo endereço usado pelo cliente para chegar à sinalização
+  if (config.STUN_SERVER_PORT && client.host) {
+    stunUrls.push(`stun:${client.host}:${config.STUN_SERVER_PORT}`);
+  }
+  if (stunUrls.length > 0) {
+    iceServers.push({ urls: stunUrls });
+  }
+
+  if (config.TURN_URLS && config.TURN_SECRET) {
+    const { username, credential } = createTurnCredentials(config.TURN_SECRET, client.userId, config.TURN_CREDENTIAL_TTL);
+    iceServers.push({ urls: config.TURN_URLS, username, credential });
+  }
+
+  return iceServers;
+}
+
+/**
+ * Endereço (sem porta) do cabeçalho Host de uma requisição
+ */
+function hostFromRequest(req) {
+  const header = req.headers && req.headers.host;
+  if (!header) return null;
+  try {
+    return new URL(`http://${header}`).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  createTurnCredentials,
+  getIceServers,
+  hostFromRequest
+};
@@ -0,0 +1,128 @@
+/**
+ * Journal de sinalização: cada mensagem recebida e enviada em uma sala, uma linha JSON por evento
+ * Gravado em <diretório>/<sala>.ndjson para exportação e reprodução com replay-journal.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Intervalo máximo entre gravações do buffer (ms)
+const FLUSH_INTERVAL = 500;
+
+// Mensagens periódicas que só poluiriam o journal
+const SKIPPED_TYPES = ['keepalive', 'keepalive-ack', 'stats-report', 'latency-report', 'latency-update'];
+
+// Campos com segredos que não devem ir para o arquivo
+const REDACTED_FIELDS = ['token', 'resumeToken'];
+
+function redact(message) {
+  if (!REDACTED_FIELDS.some(field => message[field] !== undefined)) return message;
+
+  const copy = { ...message };
+  REDACTED_FIELDS.forEach(field => {
+    if (copy[field] !== undefined) copy[field] = '***';
+  });
+  return copy;
+}
+
+class SignalingJournal {
+  /**
+   * @param {string} directory - Diretório dos arquivos de journal
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.buffers = new Map(); // roomId -> [linhas]
+    this.seq = 0;
+    this.timer = null;
+    this.writing = Promise.resolve();
+    this.ready = null;
+  }
+
+  fileFor(roomId) {
+    return path.join(this.directory, `${encodeURIComponent(roomId)}.ndjson`);
+  }
+
+  /**
+   * Registrar uma mensagem
+   * @param {string} roomId - Sala da mensagem
+   * @param {Object} event - { direction: 'in'|'out', clientId, role, message }
+   */
+  record(roomId, event) {
+    const { message } = event;
+    if (!roomId || !message || SKIPPED_TYPES.includes(message.type)) return;
+
+    const now = Date.now();
+    const line = JSON.stringify({
+      seq: ++this.seq,
+      at: new Date(now).toISOString(),
+      t: now,
+      room: roomId,
+      direction: event.direction,
+      clientId: event.clientId || null,
+      role: event.role || null,
+      type: message.type,
+      message: redact(message)
+    });
+
+    if (!this.buffers.has(roomId)) this.buffers.set(roomId, []);
+    this.buffers.get(roomId).push(line + '\n');
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Gravar os buffers de todas as salas
+   * @return {Promise} - Resolvida quando as gravações pendentes terminarem
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.buffers.size === 0) return this.writing;
+
+    const pending = Array.from(this.buffers.entries());
+    this.buffers.clear();
+
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(this.directory, { recursive: true });
+    }
+
+    this.writing = this.writing
+      .then(() => this.ready)
+      .then(() => Promise.all(pending.map(([roomId, lines]) => fs.promises.appendFile(this.fileFor(roomId), lines.join('')))))
+      .catch(error => {
+        console.error(`Erro ao gravar journal de sinalização: ${error.message}`);
+      });
+    return this.writing;
+  }
+
+  /**
+   * Caminho do journal da sala com tudo o que estava em buffer já gravado (null se não existir)
+   */
+  async exportFile(roomId) {
+    await this.flush();
+    const file = this.fileFor(roomId);
+    try {
+      await fs.promises.access(file);
+      return file;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Apagar o journal da sala (ex.: antes de reproduzir um problema)
+   */
+  async clear(roomId) {
+    await this.flush();
+    await fs.promises.rm(this.fileFor(roomId), { force: true });
+  }
+}
+
+module.exports = {
+  SignalingJournal
+};
@@ -0,0 +1,65 @@
+/**
+ * Latência de ponta a ponta (glass-to-glass) entre o publicador e cada espectador
+ * O publicador desenha no rodapé de cada quadro um marcador binário com o horário de envio no relógio do servidor;
+ * o receptor lê o marcador ao receber o quadro e reporta a diferença para o seu próprio horário no relógio do servidor.
+ * Os dois lados alinham o relógio pelo par keepalive/keepalive-ack. O marcador carrega só os 24 bits menos
+ * significativos do horário em ms, então o receptor calcula a diferença módulo 2^24
+ */
+
+// Medições acima disso são leituras erradas do marcador ou relógios desalinhados (ms)
+const MAX_LATENCY = 10000;
+
+// Medições aceitas por mensagem 'latency-report'
+const MAX_REPORT_SAMPLES = 200;
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Filtrar as medições (ms) de um 'latency-report'
+ * @return {Array|null} - Medições válidas, arredondadas a 0,1 ms, ou null se o relatório for inválido
+ */
+function sanitizeLatencySamples(samples) {
+  if (!Array.isArray(samples) || samples.length === 0 || samples.length > MAX_REPORT_SAMPLES) return null;
+
+  const valid = samples
+    .filter(value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_LATENCY)
+    .map(value => Math.round(value * 10) / 10);
+  return valid.length > 0 ? valid : null;
+}
+
+/**
+ * Percentil pelo método do posto mais próximo
+ * @param {Array} sorted - Valores em ordem crescente
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Resumo de uma janela de medições
+ * @return {Object|null} - { count, min, mean, p50, p90, p95, p99, max } em ms, ou null sem medições
+ */
+function summarizeLatency(samples) {
+  if (!samples || samples.length === 0) return null;
+
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const summary = {
+    count: sorted.length,
+    min: sorted[0],
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length * 10) / 10
+  };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = percentile(sorted, p);
+  });
+  summary.max = sorted[sorted.length - 1];
+  return summary;
+}
+
+module.exports = {
+  MAX_LATENCY,
+  MAX_REPORT_SAMPLES,
+  percentile,
+  sanitizeLatencySamples,
+  summarizeLatency
+};
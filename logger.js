@@ -0,0 +1,271 @@
+/**
+ * Sistema de logging com níveis, saída em texto ou JSON lines e gravação assíncrona em arquivo
+ * As linhas são acumuladas em buffer e gravadas em lote, sem bloquear o event loop;
+ * o arquivo é rotacionado por tamanho ou por data, mantendo um número limitado de arquivos antigos
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = {
+  verbose: 0,
+  info: 1,
+  warning: 2,
+  error: 3
+};
+
+// Intervalo máximo entre gravações e tamanho do buffer que força uma gravação imediata
+const FLUSH_INTERVAL = 250;
+const FLUSH_THRESHOLD = 64 * 1024;
+
+// Sufixo dos arquivos rotacionados por data: webrtc-server.log.2024-05-31
+const DATED_SUFFIX = /^\.\d{4}-\d{2}-\d{2}(\.\d+)?$/;
+
+function localDate(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Destino compartilhado por um logger e todos os seus filhos: console e arquivo com buffer
+ */
+class LogSink {
+  /**
+   * @param {Object} options - { file, format, rotate, maxSize, maxFiles }
+   */
+  constructor(options) {
+    this.file = options.file || null;
+    this.format = options.format || 'text';
+    this.rotate = options.rotate || 'none';
+    this.maxSize = options.maxSize;
+    this.maxFiles = options.maxFiles;
+
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.timer = null;
+    this.writing = Promise.resolve();
+    this.size = 0;
+    this.date = localDate();
+
+    if (this.file) {
+      // Continuar o arquivo existente; a rotação cuida do crescimento
+      try {
+        const stat = fs.statSync(this.file);
+        this.size = stat.size;
+        this.date = localDate(stat.mtime);
+      } catch (e) {
+        // Arquivo ainda não existe
+      }
+    }
+  }
+
+  write(level, line) {
+    console[level === 'warning' ? 'warn' : level === 'verbose' ? 'log' : level](line);
+
+    if (!this.file) return;
+
+    this.buffer.push(line + '\n');
+    this.bufferedBytes += Buffer.byteLength(line) + 1;
+
+    if (this.bufferedBytes >= FLUSH_THRESHOLD) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Gravar o conteúdo do buffer; as gravações são encadeadas para preservar a ordem
+   * @return {Promise} - Resolvida quando tudo o que estava no buffer foi gravado
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.buffer.length === 0) return this.writing;
+
+    const chunk = this.buffer.join('');
+    this.buffer = [];
+    this.bufferedBytes = 0;
+
+    this.writing = this.writing
+      .then(() => this._append(chunk))
+      .catch(error => {
+        console.error(`Erro ao gravar log em ${this.file}: ${error.message}`);
+      });
+    return this.writing;
+  }
+
+  /**
+   * Gravação síncrona do que restar no buffer, para a saída do processo
+   */
+  flushSync() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.file || this.buffer.length === 0) return;
+
+    try {
+      fs.appendFileSync(this.file, this.buffer.join(''));
+    } catch (e) {
+      // Sem onde registrar a falha na saída do processo
+    }
+    this.buffer = [];
+    this.bufferedBytes = 0;
+  }
+
+  async _append(chunk) {
+    const bytes = Buffer.byteLength(chunk);
+
+    if (this.rotate === 'size' && this.size > 0 && this.size + bytes > this.maxSize) {
+      await this._rotateBySize();
+    } else if (this.rotate === 'daily' && this.size > 0 && localDate() !== this.date) {
+      await this._rotateByDate();
+    }
+
+    await fs.promises.appendFile(this.file, chunk);
+    this.size += bytes;
+    this.date = localDate();
+  }
+
+  // webrtc-server.log -> .1 -> .2 ... até maxFiles
+  async _rotateBySize() {
+    await fs.promises.unlink(`${this.file}.${this.maxFiles}`).catch(() => {});
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await fs.promises.rename(`${this.file}.${i}`, `${this.file}.${i + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(this.file, `${this.file}.1`);
+    this.size = 0;
+  }
+
+  // webrtc-server.log -> webrtc-server.log.<data do conteúdo>, removendo os mais antigos
+  async _rotateByDate() {
+    let target = `${this.file}.${this.date}`;
+    for (let i = 1; fs.existsSync(target); i++) {
+      target = `${this.file}.${this.date}.${i}`;
+    }
+    await fs.promises.rename(this.file, target);
+    this.size = 0;
+
+    const dir = path.dirname(this.file);
+    const base = path.basename(this.file);
+    const rotated = (await fs.promises.readdir(dir))
+      .filter(name => name.startsWith(base) && DATED_SUFFIX.test(name.substring(base.length)))
+      .sort();
+
+    for (const name of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+      await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Logger com nível ajustável em tempo de execução e campos de contexto (component, clientId, roomId)
+ */
+class Logger {
+  /**
+   * @param {Object} options - { level, format: 'text'|'json', file, rotate: 'none'|'size'|'daily', maxSize, maxFiles }
+   */
+  constructor(options = {}, bindings = {}, parent = null) {
+    this.parent = parent;
+    this.bindings = bindings;
+
+    if (!parent) {
+      this.sink = new LogSink(options);
+      this.level = LEVELS[options.level] !== undefined ? LEVELS[options.level] : LEVELS.info;
+    } else {
+      this.sink = parent.sink;
+    }
+  }
+
+  /**
+   * Logger derivado com campos adicionais; nível e destino são os do logger raiz
+   */
+  child(bindings) {
+    return new Logger(null, { ...this.bindings, ...bindings }, this.root());
+  }
+
+  root() {
+    return this.parent || this;
+  }
+
+  setLevel(level) {
+    if (LEVELS[level] === undefined) {
+      throw new Error(`Nível de log inválido: ${level} (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.root().level = LEVELS[level];
+  }
+
+  getLevel() {
+    const level = this.root().level;
+    return Object.keys(LEVELS).find(name => LEVELS[name] === level);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= this.root().level;
+  }
+
+  _format(level, message, fields) {
+    const timestamp = new Date().toISOString();
+    const context = { ...this.bindings, ...fields };
+
+    if (this.sink.format === 'json') {
+      return JSON.stringify({ time: timestamp, level, msg: message, ...context });
+    }
+
+    const entries = Object.entries(context).filter(([, value]) => value !== undefined && value !== null);
+    const prefix = entries.length > 0
+      ? `[${entries.map(([key, value]) => key === 'component' ? value : `${key}=${value}`).join(' ')}] `
+      : '';
+    return `[${timestamp}][${level.toUpperCase()}] ${prefix}${message}`;
+  }
+
+  _log(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const logMessage = this._format(level, message, fields);
+    this.sink.write(level, logMessage);
+    return logMessage;
+  }
+
+  verbose(message, fields) { return this._log('verbose', message, fields); }
+  info(message, fields) { return this._log('info', message, fields); }
+  warning(message, fields) { return this._log('warning', message, fields); }
+  error(message, fields) { return this._log('error', message, fields); }
+
+  flush() {
+    return this.sink.flush();
+  }
+
+  flushSync() {
+    this.sink.flushSync();
+  }
+}
+
+/**
+ * Criar o logger raiz a partir da configuração do servidor
+ */
+function createLogger(config) {
+  const logger = new Logger({
+    level: config.LOG_LEVEL,
+    format: config.LOG_FORMAT,
+    file: config.LOG_FILE,
+    rotate: config.LOG_ROTATE,
+    maxSize: config.LOG_MAX_SIZE,
+    maxFiles: config.LOG_MAX_FILES
+  });
+
+  // Não perder as últimas linhas quando o processo terminar
+  process.on('exit', () => logger.flushSync());
+
+  return logger;
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  LEVELS
+};
@@ -0,0 +1,204 @@
+/**
+ * Métricas do servidor no formato de texto do Prometheus (exposition format 0.0.4)
+ * Contadores, medidores e histogramas com rótulos; medidores podem ser calculados no momento da coleta
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Buckets padrão de histograma (em segundos), adequados para operações curtas como reescrita de SDP
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Base das métricas: nome, ajuda e séries indexadas pela combinação de rótulos
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // chave dos rótulos -> { labels, value }
+  }
+
+  _labels(labels = {}) {
+    const result = {};
+    this.labelNames.forEach(name => {
+      result[name] = labels[name] === undefined ? '' : String(labels[name]);
+    });
+    return result;
+  }
+
+  _series(labels, create) {
+    const normalized = this._labels(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // Sem rótulos a série existe desde o início, para a coleta exibir 0 em vez de omitir a métrica
+    if (this.labelNames.length === 0) this.inc({}, 0);
+  }
+
+  inc(labels, amount = 1) {
+    this._series(labels, () => 0).value += amount;
+  }
+
+  render() {
+    const lines = this._header();
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Function} [collect] - Chamada antes de cada coleta para atualizar os valores (recebe o próprio medidor)
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect || null;
+  }
+
+  set(labels, value) {
+    this._series(labels, () => 0).value = value;
+  }
+
+  inc(labels, amount = 1) {
+    this._series(labels, () => 0).value += amount;
+  }
+
+  render() {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+    const lines = this._header();
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const entry = this._series(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    })).value;
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Medir a duração de uma função síncrona em segundos
+   */
+  time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  render() {
+    const lines = this._header();
+    this.series.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Conjunto de métricas expostas em um endpoint
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Métrica ${metric.name} já registrada`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this._register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Texto completo para a resposta do endpoint
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => lines.push(...metric.render()));
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  Registry,
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS
+};
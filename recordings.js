@@ -0,0 +1,248 @@
+/**
+ * Armazenamento das gravações enviadas pelo publicador
+ * Cada sessão fica em <diretório>/<sala>/<sessão>/ com o arquivo de mídia (chunks do MediaRecorder
+ * concatenados na ordem de envio) e metadata.json (resolução, fps, codec, início e fim)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const METADATA_FILE = 'metadata.json';
+
+// Identificadores usados como nomes de diretório
+const SAFE_ID = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,63}$/;
+
+// Extensão do arquivo de mídia conforme o tipo informado pelo MediaRecorder
+const EXTENSIONS = {
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/x-matroska': 'mkv'
+};
+
+// Campos de metadados aceitos do publicador (início e fim da sessão)
+const TEXT_FIELDS = ['mimeType', 'resolution', 'codec', 'negotiatedCodec', 'source', 'reason'];
+const NUMERIC_FIELDS = ['fps'];
+
+class RecordingError extends Error {
+  /**
+   * @param {string} message - Mensagem de erro
+   * @param {number} status - Código HTTP correspondente
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecordingError';
+    this.status = status;
+  }
+}
+
+function sanitizeMetadata(input) {
+  const metadata = {};
+  if (!input || typeof input !== 'object') return metadata;
+
+  TEXT_FIELDS.forEach(field => {
+    if (typeof input[field] === 'string' && input[field].length > 0) {
+      metadata[field] = input[field].substring(0, 128);
+    }
+  });
+  NUMERIC_FIELDS.forEach(field => {
+    const value = Number(input[field]);
+    if (input[field] !== undefined && input[field] !== null && Number.isFinite(value) && value >= 0) {
+      metadata[field] = Math.round(value * 100) / 100;
+    }
+  });
+  return metadata;
+}
+
+class RecordingStore {
+  /**
+   * @param {string} directory - Diretório raiz das gravações
+   * @param {Object} options - { maxSize } tamanho máximo de uma sessão em bytes
+   */
+  constructor(directory, options = {}) {
+    this.directory = path.resolve(directory);
+    this.maxSize = options.maxSize || Infinity;
+    this.active = new Map(); // "sala/sessão" -> { metadata, nextSequence, writing }
+  }
+
+  _checkId(id) {
+    if (typeof id !== 'string' || !SAFE_ID.test(id)) {
+      throw new RecordingError(`Identificador inválido para gravação: ${id}`);
+    }
+  }
+
+  _roomDir(roomId) {
+    this._checkId(roomId);
+    return path.join(this.directory, roomId);
+  }
+
+  _sessionDir(roomId, sessionId) {
+    this._checkId(sessionId);
+    return path.join(this._roomDir(roomId), sessionId);
+  }
+
+  _key(roomId, sessionId) {
+    return `${roomId}/${sessionId}`;
+  }
+
+  async _writeMetadata(metadata) {
+    const file = path.join(this._sessionDir(metadata.roomId, metadata.sessionId), METADATA_FILE);
+    await fs.promises.writeFile(file, JSON.stringify(metadata, null, 2));
+  }
+
+  isActive(roomId, sessionId) {
+    return this.active.has(this._key(roomId, sessionId));
+  }
+
+  /**
+   * Abrir uma nova sessão de gravação
+   * @return {Promise<Object>} - Metadados da sessão
+   */
+  async start(roomId, details = {}) {
+    const sessionId = `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+    const dir = this._sessionDir(roomId, sessionId);
+    const info = sanitizeMetadata(details);
+    const mimeType = (info.mimeType || 'video/webm').split(';')[0].trim();
+
+    const metadata = {
+      sessionId,
+      roomId,
+      ...info,
+      file: `recording.${EXTENSIONS[mimeType] || 'webm'}`,
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+      chunks: 0,
+      size: 0,
+      error: null
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await this._writeMetadata(metadata);
+    this.active.set(this._key(roomId, sessionId), { metadata, nextSequence: 0, writing: Promise.resolve() });
+    return metadata;
+  }
+
+  /**
+   * Acrescentar um chunk à sessão; os chunks devem chegar na ordem (sequence 0, 1, 2...)
+   * Uma falha de escrita encerra a aceitação de chunks: os seguintes recebem 410
+   */
+  appendChunk(roomId, sessionId, sequence, data) {
+    const session = this.active.get(this._key(roomId, sessionId));
+    if (!session) {
+      return Promise.reject(new RecordingError('Sessão de gravação não está ativa', 404));
+    }
+    if (session.metadata.error) {
+      return Promise.reject(new RecordingError(`Gravação interrompida: ${session.metadata.error}`, 410));
+    }
+    if (sequence !== session.nextSequence) {
+      return Promise.reject(new RecordingError(`Chunk fora de ordem: esperado ${session.nextSequence}, recebido ${sequence}`, 409));
+    }
+    if (session.metadata.size + data.length > this.maxSize) {
+      return Promise.reject(new RecordingError('Tamanho máximo da gravação atingido', 413));
+    }
+
+    // Reservar a posição antes da gravação assíncrona
+    session.nextSequence++;
+    const file = path.join(this._sessionDir(roomId, sessionId), session.metadata.file);
+    const write = session.writing.then(async () => {
+      // Chunks enfileirados atrás de uma escrita que falhou não entram no arquivo
+      if (session.metadata.error) {
+        throw new RecordingError(`Gravação interrompida: ${session.metadata.error}`, 410);
+      }
+      try {
+        await fs.promises.appendFile(file, data);
+      } catch (error) {
+        // Parte do chunk pode ter entrado no arquivo: reenviar duplicaria bytes, então a sessão falha
+        session.metadata.error = `falha ao gravar o chunk ${sequence} (${error.message})`;
+        throw error;
+      }
+      session.metadata.chunks++;
+      session.metadata.size += data.length;
+    });
+    // A fila segue viva mesmo que esta gravação falhe
+    session.writing = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Encerrar a sessão, gravando os metadados finais
+   * @return {Promise<Object>} - Metadados da sessão
+   */
+  async stop(roomId, sessionId, details = {}) {
+    const key = this._key(roomId, sessionId);
+    const session = this.active.get(key);
+    if (!session) {
+      throw new RecordingError('Sessão de gravação não está ativa', 404);
+    }
+
+    this.active.delete(key);
+    await session.writing.catch(() => {});
+
+    Object.assign(session.metadata, sanitizeMetadata(details), { stoppedAt: new Date().toISOString() });
+    await this._writeMetadata(session.metadata);
+    return session.metadata;
+  }
+
+  /**
+   * Metadados de uma sessão (ativa ou encerrada)
+   */
+  async get(roomId, sessionId) {
+    const dir = this._sessionDir(roomId, sessionId);
+    const session = this.active.get(this._key(roomId, sessionId));
+    if (session) {
+      return { ...session.metadata, path: path.join(dir, session.metadata.file) };
+    }
+
+    try {
+      const metadata = JSON.parse(await fs.promises.readFile(path.join(dir, METADATA_FILE), 'utf8'));
+      return { ...metadata, path: path.join(dir, metadata.file) };
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new RecordingError('Gravação não encontrada', 404);
+      throw error;
+    }
+  }
+
+  /**
+   * Sessões gravadas de uma sala, da mais recente para a mais antiga
+   */
+  async list(roomId) {
+    const dir = this._roomDir(roomId);
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const recordings = [];
+    for (const entry of entries.filter(e => e.isDirectory() && SAFE_ID.test(e.name))) {
+      try {
+        const metadata = await this.get(roomId, entry.name);
+        delete metadata.path;
+        recordings.push({ ...metadata, active: this.isActive(roomId, entry.name) });
+      } catch (error) {
+        // Diretório sem metadados (gravação interrompida antes de começar)
+      }
+    }
+    return recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async remove(roomId, sessionId) {
+    const dir = this._sessionDir(roomId, sessionId);
+    await this.get(roomId, sessionId);
+
+    const session = this.active.get(this._key(roomId, sessionId));
+    if (session) {
+      this.active.delete(this._key(roomId, sessionId));
+      await session.writing.catch(() => {});
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  RecordingStore,
+  RecordingError
+};
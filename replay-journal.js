@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * Reproduzir um journal de sinalização contra um servidor em execução
+ * Cada cliente registrado vira um peer falso que reenvia suas mensagens no ritmo original;
+ * ao final, o que o servidor enviou a cada peer é comparado com o que foi registrado no journal
+ *
+ * Uso: node replay-journal.js <arquivo.ndjson | URL de /room/:roomId/journal> [opções]
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+
+const DEFAULTS = {
+  server: 'ws://localhost:8080',
+  room: null,
+  token: null,
+  adminToken: null,
+  speed: 1,
+  since: null,
+  linger: 3000,
+  verbose: false
+};
+
+const USAGE = [
+  'Uso: node replay-journal.js <arquivo.ndjson | http://host:porta/room/<sala>/journal> [opções]',
+  '',
+  'Opções:',
+  '  --server <url>         Servidor WebSocket de destino (padrão: ws://localhost:8080)',
+  '  --room <sala>          Sala usada na reprodução (padrão: <sala original>-replay)',
+  '  --token <segredo>      Segredo enviado no join/takeover (o journal não guarda segredos)',
+  '  --admin-token <token>  Token de administração para baixar o journal por URL',
+  '  --speed <fator>        Velocidade da reprodução (2 = duas vezes mais rápido, 0 = sem esperas)',
+  '  --since <data|ms>      Reproduzir apenas eventos a partir deste instante',
+  '  --linger <ms>          Tempo aguardando respostas após a última mensagem (padrão: 3000)',
+  '  --verbose              Mostrar cada mensagem recebida do servidor'
+].join('\n');
+
+// Espera após cada desconexão reproduzida (ms)
+const DISCONNECT_SETTLE = 100;
+
+// Espera máxima pelo fechamento de um WebSocket antes de derrubá-lo (ms)
+const CLOSE_TIMEOUT = 2000;
+
+// Mensagens que o servidor envia fora de qualquer sala ou que não entram no journal
+const IGNORED_REPLIES = ['server-info', 'keepalive-ack'];
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, source: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg.startsWith('--')) {
+      const key = arg.substring(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      if (!(key in DEFAULTS) || i + 1 >= argv.length) {
+        throw new Error(`Opção inválida ou sem valor: ${arg}`);
+      }
+      options[key] = argv[++i];
+    } else if (!options.source) {
+      options.source = arg;
+    } else {
+      throw new Error(`Argumento inesperado: ${arg}`);
+    }
+  }
+
+  options.speed = Number(options.speed);
+  options.linger = Number(options.linger);
+  if (!Number.isFinite(options.speed) || options.speed < 0) throw new Error('--speed deve ser um número >= 0');
+  if (!Number.isFinite(options.linger) || options.linger < 0) throw new Error('--linger deve ser um número >= 0');
+  if (options.since !== null) {
+    options.since = /^\d+$/.test(options.since) ? Number(options.since) : Date.parse(options.since);
+    if (Number.isNaN(options.since)) throw new Error('--since deve ser uma data ISO ou um timestamp em ms');
+  }
+  return options;
+}
+
+/**
+ * Ler o journal de um arquivo ou do endpoint /room/:roomId/journal
+ */
+async function loadJournal(source, options) {
+  let text;
+  if (/^https?:\/\//.test(source)) {
+    const headers = options.adminToken ? { Authorization: `Bearer ${options.adminToken}` } : {};
+    const response = await fetch(source, { headers });
+    if (!response.ok) {
+      throw new Error(`Falha ao baixar journal (HTTP ${response.status}): ${await response.text()}`);
+    }
+    text = await response.text();
+  } else {
+    text = await fs.promises.readFile(source, 'utf8');
+  }
+
+  const entries = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      console.warn(`Linha ${index + 1} ignorada: JSON inválido`);
+    }
+  });
+
+  return entries
+    .filter(entry => options.since === null || entry.t >= options.since)
+    .sort((a, b) => a.t - b.t || a.seq - b.seq);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * Abrir a conexão de um peer falso
+ */
+function connectPeer(originalId, options) {
+  return new Promise((resolve, reject) => {
+    const peer = { originalId, id: null, received: [], waiters: [] };
+    peer.ws = new WebSocket(options.server);
+
+    peer.ws.on('open', () => resolve(peer));
+    peer.ws.on('error', reject);
+    peer.ws.on('message', data => {
+      const message = JSON.parse(data);
+      if (IGNORED_REPLIES.includes(message.type)) return;
+
+      peer.received.push(message);
+      if (options.verbose) {
+        console.log(`    ${label(peer)} < ${message.type}${message.message ? `: ${message.message}` : ''}`);
+      }
+      peer.waiters = peer.waiters.filter(waiter => !waiter(message));
+    });
+  });
+}
+
+/**
+ * Aguardar uma mensagem do servidor que satisfaça o predicado
+ */
+function waitForMessage(peer, predicate, timeout = 5000) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), timeout);
+    peer.waiters.push(message => {
+      if (!predicate(message)) return false;
+      clearTimeout(timer);
+      resolve(message);
+      return true;
+    });
+  });
+}
+
+/**
+ * Fechar o WebSocket de um peer; o servidor pode já tê-lo fechado (takeover, erro)
+ */
+function closePeer(peer) {
+  if (peer.ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      peer.ws.terminate();
+      resolve();
+    }, CLOSE_TIMEOUT);
+    peer.ws.once('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    peer.ws.close();
+  });
+}
+
+function label(peer) {
+  return `${peer.originalId}${peer.id ? `→${peer.id}` : ''}`;
+}
+
+/**
+ * Adaptar uma mensagem registrada à reprodução: sala, segredo e IDs dos novos clientes
+ */
+function rewriteMessage(message, room, ids, options) {
+  const copy = { ...message };
+  if (copy.roomId !== undefined || copy.type === 'join' || copy.type === 'takeover') copy.roomId = room;
+  if (copy.token !== undefined) {
+    if (options.token) copy.token = options.token;
+    else delete copy.token;
+  }
+  if (copy.targetId && ids.has(copy.targetId)) copy.targetId = ids.get(copy.targetId);
+  delete copy.timestamp;
+  return copy;
+}
+
+/**
+ * Descobrir o novo ID do peer pelos papéis informados em 'room-info'
+ */
+function identifyPeer(peer, roomInfo, ids) {
+  const roles = roomInfo.roles || {};
+  const known = new Set(ids.values());
+  const current = [roles.publisher, ...(roles.iosReceivers || []), ...(roles.monitors || [])].filter(Boolean);
+  const id = current.find(candidate => !known.has(candidate));
+
+  if (id) {
+    peer.id = id;
+    ids.set(peer.originalId, id);
+  }
+}
+
+/**
+ * Diferença entre dois SDPs, linha a linha (linhas só no esperado com '-', só no recebido com '+')
+ */
+function diffSdp(expected, received) {
+  const a = (expected || '').split(/\r?\n/).filter(Boolean);
+  const b = (received || '').split(/\r?\n/).filter(Boolean);
+  return [
+    ...a.filter(line => !b.includes(line)).map(line => `- ${line}`),
+    ...b.filter(line => !a.includes(line)).map(line => `+ ${line}`)
+  ];
+}
+
+/**
+ * Comparar o que cada peer recebeu com as mensagens registradas para o cliente original
+ * @return {number} - Quantidade de divergências
+ */
+function compare(entries, peers) {
+  let divergences = 0;
+
+  peers.forEach(peer => {
+    const expected = entries
+      .filter(entry => entry.direction === 'out' && entry.clientId === peer.originalId)
+      .map(entry => entry.message);
+    const expectedTypes = expected.map(message => message.type);
+    const receivedTypes = peer.received.map(message => message.type);
+
+    console.log(`\n${label(peer)}: ${expected.length} mensagens registradas, ${peer.received.length} recebidas`);
+
+    if (expectedTypes.join() !== receivedTypes.join()) {
+      divergences++;
+      console.log(`  sequência registrada: ${expectedTypes.join(', ') || '(nenhuma)'}`);
+      console.log(`  sequência recebida:   ${receivedTypes.join(', ') || '(nenhuma)'}`);
+    }
+
+    ['offer', 'answer'].forEach(type => {
+      const registered = expected.filter(message => message.type === type);
+      const received = peer.received.filter(message => message.type === type);
+
+      registered.forEach((message, index) => {
+        if (!received[index]) return;
+        const diff = diffSdp(message.sdp, received[index].sdp);
+        if (diff.length === 0) return;
+
+        divergences++;
+        console.log(`  SDP do ${type} #${index + 1} difere do registrado:`);
+        diff.slice(0, 20).forEach(line => console.log(`    ${line}`));
+        if (diff.length > 20) console.log(`    ... mais ${diff.length - 20} linhas`);
+      });
+    });
+  });
+
+  return divergences;
+}
+
+async function replay(entries, options) {
+  const incoming = entries.filter(entry => entry.direction === 'in');
+  if (incoming.length === 0) {
+    throw new Error('Journal sem mensagens recebidas para reproduzir');
+  }
+
+  const room = options.room || `${incoming[0].room}-replay`;
+  const peers = new Map(); // ID original -> peer falso
+  const ids = new Map(); // ID original -> ID atribuído pelo servidor na reprodução
+  const start = Date.now();
+  const t0 = incoming[0].t;
+
+  console.log(`Reproduzindo ${incoming.length} mensagens de ${new Set(incoming.map(e => e.clientId)).size} clientes ` +
+    `da sala ${incoming[0].room} em ${options.server} (sala ${room})`);
+
+  for (const entry of incoming) {
+    if (options.speed > 0) {
+      await sleep(start + (entry.t - t0) / options.speed - Date.now());
+    }
+
+    // Desconexão registrada pelo servidor (não é uma mensagem do cliente)
+    if (entry.message.type === 'disconnect') {
+      const peer = peers.get(entry.clientId);
+      if (peer) {
+        const closed = closePeer(peer);
+        console.log(`[+${((Date.now() - start) / 1000).toFixed(3)}s] ${label(peer)} desconectado`);
+        // Dar tempo ao servidor de avisar os demais peers antes do próximo evento
+        await closed;
+        await sleep(DISCONNECT_SETTLE);
+      }
+      continue;
+    }
+
+    if (!peers.has(entry.clientId)) {
+      peers.set(entry.clientId, await connectPeer(entry.clientId, options));
+    }
+    const peer = peers.get(entry.clientId);
+    const message = rewriteMessage(entry.message, room, ids, options);
+    const entering = message.type === 'join' || message.type === 'takeover';
+    const reply = entering
+      ? waitForMessage(peer, m => m.type === 'room-info' || m.type === 'error')
+      : null;
+
+    peer.ws.send(JSON.stringify(message));
+    console.log(`[+${((Date.now() - start) / 1000).toFixed(3)}s] ${label(peer)} > ${message.type}` +
+      `${message.targetId ? ` (destino ${message.targetId})` : ''}`);
+
+    if (reply) {
+      const answer = await reply;
+      if (answer && answer.type === 'room-info') {
+        identifyPeer(peer, answer, ids);
+      } else {
+        console.log(`    ${label(peer)}: ${answer ? `erro ${answer.code || ''} ${answer.message}` : 'sem resposta ao ' + message.type}`);
+      }
+    }
+  }
+
+  await sleep(options.linger);
+  peers.forEach(peer => peer.ws.close());
+
+  const divergences = compare(entries, peers);
+  console.log(divergences === 0
+    ? '\nReprodução concluída sem divergências'
+    : `\nReprodução concluída com ${divergences} divergência(s)`);
+  return divergences;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.source) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const entries = await loadJournal(options.source, options);
+  const divergences = await replay(entries, options);
+  process.exit(divergences === 0 ? 0 : 2);
+}
+
+main().catch(error => {
+  console.error(`Erro: ${error.message}`);
+  process.exit(1);
+});
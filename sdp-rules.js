@@ -0,0 +1,158 @@
+/**
+ * Regras de reescrita de SDP em cada sentido da negociação
+ * A oferta do publicador recebe a política de codecs, o nível H.264 e o framerate da sala;
+ * a resposta do espectador recebe os limites de banda e os x-google-* lidos pelo encoder do publicador
+ */
+
+const SDP = require('./sdp');
+const { policyFromQuality, applyCodecPolicy, getCodecProfile, isAuxiliaryCodec } = require('./codec-policy');
+const { ladderFromQuality } = require('./bitrate-ladder');
+
+// Direção esperada em cada sentido: o publicador só envia e o espectador só recebe
+const SDP_DIRECTIONS = {
+  offer: 'sendonly',
+  answer: 'recvonly'
+};
+
+/**
+ * Corrigir a direção das seções de áudio/vídeo conforme o sentido do SDP
+ */
+function enforceSdpDirection(media, type, logger) {
+  const direction = SDP.getDirection(media);
+  const expected = SDP_DIRECTIONS[type];
+
+  if (direction === 'sendrecv') {
+    SDP.setDirection(media, expected);
+    logger.verbose(`Direção da seção ${media.kind} do ${type} ajustada: ${direction} -> ${expected}`);
+  } else if (direction !== expected && direction !== 'inactive') {
+    logger.warning(`Direção inesperada na seção ${media.kind} do ${type}: ${direction}`);
+  }
+}
+
+/**
+ * Regras da oferta do publicador (seção de vídeo): política de codecs, nível H.264 e framerate
+ */
+function enhanceOfferVideo(media, quality, logger) {
+  // Aplicar a política de codecs da sala: ordem de preferência e, no modo estrito, remoção
+  const { removed, kept } = applyCodecPolicy(media, policyFromQuality(quality));
+  if (removed.length > 0) {
+    logger.info(`Codecs removidos pela política: ${removed.map(codec => `${codec.name}/${codec.payload}`).join(', ')}`);
+  }
+  if (kept) {
+    logger.warning('Nenhum codec permitido pela política foi oferecido, SDP mantido sem remoções');
+  }
+
+  // Taxa de bits alta para rede local (AS em kbps, TIAS em bps)
+  SDP.setBandwidth(media, 'AS', quality.bitrate);
+  SDP.setBandwidth(media, 'TIAS', quality.bitrate * 1000);
+
+  // Elevar o nível H.264 apenas nos payloads do mesmo perfil configurado; trocar o perfil
+  // (ex.: High em um receptor só Constrained Baseline) quebraria a negociação
+  const h264Profile = quality.h264Profile.toLowerCase();
+  SDP.findCodecs(media, 'H264').forEach(codec => {
+    const profile = getCodecProfile(codec);
+    if (profile && profile.substring(0, 4) === h264Profile.substring(0, 4)) {
+      SDP.setFmtpParams(codec, { 'profile-level-id': h264Profile });
+    }
+    SDP.setFmtpParams(codec, {
+      'level-asymmetry-allowed': '1',
+      'packetization-mode': '1'
+    }, { onlyIfMissing: true });
+  });
+
+  // O espectador não envia vídeo: parâmetros x-google-* de envio não têm efeito do lado dele
+  media.codecs.forEach(codec => {
+    (codec.fmtp || [])
+      .filter(param => param.key.startsWith('x-google-'))
+      .forEach(param => SDP.setFmtpParams(codec, { [param.key]: undefined }));
+  });
+
+  // Framerate alto se ainda não especificado
+  if (!SDP.hasAttribute(media, 'framerate')) {
+    SDP.setAttribute(media, 'framerate', String(quality.framerate));
+  }
+}
+
+/**
+ * Regras da resposta do espectador (seção de vídeo): limite de banda do receptor e x-google-* para o publicador
+ */
+function enhanceAnswerVideo(media, quality, logger) {
+  // b=AS da resposta limita o que o publicador envia: respeitar limites menores do receptor, nunca acima da sala
+  const receiverLimit = SDP.getBandwidth(media, 'AS');
+  const bitrate = receiverLimit !== undefined ? Math.min(receiverLimit, quality.bitrate) : quality.bitrate;
+  if (receiverLimit !== undefined && receiverLimit !== bitrate) {
+    logger.info(`Limite b=AS do receptor (${receiverLimit}kbps) reduzido ao teto da sala (${bitrate}kbps)`);
+  }
+  SDP.setBandwidth(media, 'AS', bitrate);
+  SDP.setBandwidth(media, 'TIAS', bitrate * 1000);
+
+  // A resposta é aplicada pelo publicador (remetente), cujo encoder Chrome lê os x-google-* daqui.
+  // Piso e início valem também para a estimativa de banda: com o bitrate adaptativo impediriam o publicador
+  // de descer os degraus, e com simulcast valeriam para a soma das camadas ativas. Nesses casos só o teto fica,
+  // e os valores trazidos pelo receptor são descartados
+  const fixedBounds = !quality.adaptiveBitrate && !SDP.getSimulcast(media);
+  const [firstRung] = ladderFromQuality(quality);
+  const params = {
+    'x-google-max-bitrate': bitrate,
+    'x-google-min-bitrate': fixedBounds ? Math.min(quality.minBitrate || bitrate, bitrate) : undefined,
+    'x-google-start-bitrate': fixedBounds ? Math.min(firstRung ? firstRung.bitrate : bitrate, bitrate) : undefined
+  };
+  media.codecs
+    .filter(codec => !isAuxiliaryCodec(codec))
+    .forEach(codec => SDP.setFmtpParams(codec, params));
+}
+
+/**
+ * Regras de áudio da oferta: o publicador declara que pode enviar estéreo (sprop-stereo)
+ */
+function enhanceOfferAudio(media, quality) {
+  SDP.findCodecs(media, 'opus').forEach(codec => {
+    SDP.setFmtpParams(codec, { 'sprop-stereo': quality.opusStereo ? '1' : '0' });
+  });
+}
+
+/**
+ * Regras de áudio da resposta: os parâmetros Opus do receptor definem como o publicador codifica
+ */
+function enhanceAnswerAudio(media, quality) {
+  SDP.findCodecs(media, 'opus').forEach(codec => {
+    SDP.setFmtpParams(codec, {
+      'stereo': quality.opusStereo ? '1' : '0',
+      'maxaveragebitrate': quality.opusMaxAverageBitrate,
+      'useinbandfec': quality.opusFec ? '1' : '0',
+      'usedtx': quality.opusDtx ? '1' : '0'
+    });
+  });
+}
+
+/**
+ * Reescrever um SDP com as regras do seu sentido
+ * @param {string} sdp - SDP recebido do publicador (offer) ou do espectador (answer)
+ * @param {Object} quality - Perfil de qualidade da sala
+ * @param {string} type - 'offer' ou 'answer'
+ * @param {Object} logger - Logger das decisões tomadas na reescrita
+ * @return {string} - SDP reescrito
+ */
+function rewriteSdp(sdp, quality, type, logger) {
+  const session = SDP.parse(sdp);
+
+  session.media
+    .filter(media => media.port !== 0 && (media.kind === 'video' || media.kind === 'audio'))
+    .forEach(media => {
+      enforceSdpDirection(media, type, logger);
+
+      if (media.kind === 'video') {
+        if (type === 'answer') enhanceAnswerVideo(media, quality, logger);
+        else enhanceOfferVideo(media, quality, logger);
+      } else {
+        if (type === 'answer') enhanceAnswerAudio(media, quality);
+        else enhanceOfferAudio(media, quality);
+      }
+    });
+
+  return SDP.serialize(session);
+}
+
+module.exports = {
+  rewriteSdp
+};
@@ -0,0 +1,573 @@
+/**
+ * Parser e serializador de SDP (Session Description Protocol)
+ * Converte o SDP em um modelo estruturado de sessão/mídia/codec (rtpmap, fmtp, rtcp-fb,
+ * ssrc, extmap, bandwidth) e serializa de volta preservando a ordem das linhas e o fim de linha (CRLF)
+ */
+
+/**
+ * Separar "nome:valor" de um atributo a=
+ */
+function parseAttribute(text) {
+  const colon = text.indexOf(':');
+  if (colon < 0) return { name: text, value: null };
+  return { name: text.substring(0, colon), value: text.substring(colon + 1) };
+}
+
+/**
+ * Interpretar parâmetros de fmtp ("a=1;b=2") preservando a ordem
+ */
+function parseFmtpParams(text) {
+  const separator = /;\s/.test(text) ? '; ' : ';';
+  const params = text.split(';')
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => {
+      const eq = part.indexOf('=');
+      return eq < 0
+        ? { key: part, value: null }
+        : { key: part.substring(0, eq), value: part.substring(eq + 1) };
+    });
+  return { params, separator };
+}
+
+function createCodec(payload) {
+  return {
+    payload,
+    name: null,
+    clockRate: null,
+    channels: null,
+    fmtp: null, // [{ key, value }] ou null se não houver linha a=fmtp
+    fmtpSeparator: ';',
+    rtcpFb: [] // ex.: ['nack', 'nack pli', 'transport-cc']
+  };
+}
+
+/**
+ * Interpretar uma seção de mídia (linhas após m=, até a próxima m=)
+ */
+function parseMedia(mline, lines) {
+  const [kind, port, protocol, ...payloads] = mline.split(' ');
+  const media = {
+    kind,
+    port: Number(port),
+    protocol,
+    payloads,
+    connection: null,
+    bandwidth: [], // [{ type, value }]
+    codecs: [],
+    extmap: [], // [{ id, direction, uri, attributes }]
+    ssrcs: [], // [{ id, attribute, value }]
+    ssrcGroups: [], // [{ semantics, ssrcs }]
+    attributes: [], // Demais atributos, na ordem original: [{ name, value }]
+    otherLines: [], // Linhas que não são a=, b= ou c= (ex.: i=): [{ type, value }]
+    order: [] // Posição original de cada linha (uso interno do serializador)
+  };
+
+  const codecByPayload = new Map();
+  const getCodec = (payload) => {
+    if (!codecByPayload.has(payload)) {
+      const codec = createCodec(payload);
+      codecByPayload.set(payload, codec);
+      media.codecs.push(codec);
+    }
+    return codecByPayload.get(payload);
+  };
+  const addSlot = (slot) => {
+    if (!media.order.includes(slot)) media.order.push(slot);
+  };
+
+  // Primeiro passo: criar os codecs na ordem das linhas rtpmap (alguns navegadores põem fmtp antes)
+  lines.forEach(line => {
+    if (!line.startsWith('a=rtpmap:')) return;
+    const match = line.substring(9).match(/^(\d+) ([^/]+)\/(\d+)(?:\/(\d+))?$/);
+    if (!match) return;
+    if (codecByPayload.has(match[1]) && codecByPayload.get(match[1]).name) return; // rtpmap duplicado
+    const codec = getCodec(match[1]);
+    codec.name = match[2];
+    codec.clockRate = Number(match[3]);
+    codec.channels = match[4] ? Number(match[4]) : null;
+  });
+
+  lines.forEach(line => {
+    const type = line[0];
+    const value = line.substring(2);
+
+    if (type === 'c') {
+      media.connection = value;
+      addSlot('c');
+      return;
+    }
+
+    if (type === 'b') {
+      const colon = value.indexOf(':');
+      media.bandwidth.push({ type: value.substring(0, colon), value: Number(value.substring(colon + 1)) });
+      addSlot('b');
+      return;
+    }
+
+    if (type !== 'a') {
+      const other = { type, value };
+      media.otherLines.push(other);
+      media.order.push(other);
+      return;
+    }
+
+    const attribute = parseAttribute(value);
+    const space = attribute.value ? attribute.value.indexOf(' ') : -1;
+    const head = space >= 0 ? attribute.value.substring(0, space) : attribute.value;
+    const rest = space >= 0 ? attribute.value.substring(space + 1) : '';
+
+    switch (attribute.name) {
+      case 'rtpmap':
+        if (/^\d+$/.test(head) && codecByPayload.has(head)) {
+          addSlot(`rtpmap:${head}`);
+          return;
+        }
+        break;
+
+      case 'fmtp':
+        if (/^\d+$/.test(head)) {
+          const codec = getCodec(head);
+          const { params, separator } = parseFmtpParams(rest);
+          codec.fmtp = params;
+          codec.fmtpSeparator = separator;
+          addSlot(`fmtp:${head}`);
+          return;
+        }
+        break;
+
+      case 'rtcp-fb':
+        // rtcp-fb com curinga (*) permanece como atributo genérico
+        if (/^\d+$/.test(head)) {
+          getCodec(head).rtcpFb.push(rest);
+          addSlot(`rtcp-fb:${head}`);
+          return;
+        }
+        break;
+
+      case 'extmap': {
+        const [id, direction] = head.split('/');
+        const [uri, ...extra] = rest.split(' ');
+        media.extmap.push({ id: Number(id), direction: direction || null, uri, attributes: extra.join(' ') || null });
+        addSlot('extmap');
+        return;
+      }
+
+      case 'ssrc': {
+        const ssrcAttribute = parseAttribute(rest);
+        media.ssrcs.push({ id: head, attribute: ssrcAttribute.name, value: ssrcAttribute.value });
+        addSlot('ssrc');
+        return;
+      }
+
+      case 'ssrc-group':
+        media.ssrcGroups.push({ semantics: head, ssrcs: rest.split(' ') });
+        addSlot('ssrc-group');
+        return;
+    }
+
+    media.attributes.push(attribute);
+    media.order.push(attribute);
+  });
+
+  return media;
+}
+
+/**
+ * Converter SDP em modelo estruturado
+ * @param {string} sdp - SDP em texto
+ * @return {Object} - { eol, trailingEol, session: { lines }, media: [...] }
+ */
+function parse(sdp) {
+  const eol = sdp.includes('\r\n') ? '\r\n' : '\n';
+  const trailingEol = sdp.endsWith(eol);
+  const lines = sdp.split(eol).filter(line => line.length > 0);
+
+  const model = {
+    eol,
+    trailingEol,
+    session: { lines: [] }, // Linhas de sessão: [{ type, value }]
+    media: []
+  };
+
+  let current = null;
+  let currentLines = [];
+  const flush = () => {
+    if (current !== null) model.media.push(parseMedia(current, currentLines));
+  };
+
+  lines.forEach(line => {
+    if (line.startsWith('m=')) {
+      flush();
+      current = line.substring(2);
+      currentLines = [];
+    } else if (current !== null) {
+      currentLines.push(line);
+    } else {
+      model.session.lines.push({ type: line[0], value: line.substring(2) });
+    }
+  });
+  flush();
+
+  return model;
+}
+
+function formatAttribute(attribute) {
+  return attribute.value === null ? `a=${attribute.name}` : `a=${attribute.name}:${attribute.value}`;
+}
+
+function formatFmtp(codec) {
+  const params = codec.fmtp
+    .map(param => (param.value === null ? param.key : `${param.key}=${param.value}`))
+    .join(codec.fmtpSeparator);
+  return `a=fmtp:${codec.payload} ${params}`;
+}
+
+function formatRtpmap(codec) {
+  return `a=rtpmap:${codec.payload} ${codec.name}/${codec.clockRate}${codec.channels ? `/${codec.channels}` : ''}`;
+}
+
+/**
+ * Garantir que itens adicionados pelos helpers tenham posição no serializador
+ */
+function completeOrder(media) {
+  const order = media.order;
+  const insertAfter = (slot, anchors) => {
+    if (order.includes(slot)) return;
+    for (const anchor of anchors) {
+      const index = order.indexOf(anchor);
+      if (index >= 0) {
+        order.splice(index + 1, 0, slot);
+        return;
+      }
+    }
+    order.push(slot);
+  };
+  const firstCodecIndex = () => order.findIndex(slot => typeof slot === 'string' && /^(rtpmap|fmtp|rtcp-fb):/.test(slot));
+
+  if (media.connection !== null && !order.includes('c')) order.unshift('c');
+  if (media.bandwidth.length > 0 && !order.includes('b')) {
+    order.splice(order.includes('c') ? order.indexOf('c') + 1 : 0, 0, 'b');
+  }
+
+  // Atributos novos entram antes do bloco de codecs
+  media.attributes.forEach(attribute => {
+    if (order.includes(attribute)) return;
+    const index = firstCodecIndex();
+    if (index >= 0) order.splice(index, 0, attribute);
+    else order.push(attribute);
+  });
+
+  if (media.extmap.length > 0 && !order.includes('extmap')) {
+    const index = firstCodecIndex();
+    if (index >= 0) order.splice(index, 0, 'extmap');
+    else order.push('extmap');
+  }
+
+  media.codecs.forEach(codec => {
+    const pt = codec.payload;
+    if (codec.name) {
+      // Novo codec vai para o fim do bloco de codecs existente
+      const lastCodec = order.reduce((last, slot, index) =>
+        (typeof slot === 'string' && /^(rtpmap|fmtp|rtcp-fb):/.test(slot) ? index : last), -1);
+      if (!order.includes(`rtpmap:${pt}`)) order.splice(lastCodec + 1, 0, `rtpmap:${pt}`);
+    }
+    if (codec.rtcpFb.length > 0) insertAfter(`rtcp-fb:${pt}`, [`rtpmap:${pt}`]);
+    if (codec.fmtp) insertAfter(`fmtp:${pt}`, [`rtcp-fb:${pt}`, `rtpmap:${pt}`]);
+  });
+
+  if (media.ssrcGroups.length > 0 && !order.includes('ssrc-group')) insertAfter('ssrc-group', []);
+  if (media.ssrcs.length > 0 && !order.includes('ssrc')) order.push('ssrc');
+}
+
+/**
+ * Serializar uma seção de mídia em linhas
+ */
+function serializeMedia(media) {
+  completeOrder(media);
+
+  const lines = [`m=${[media.kind, media.port, media.protocol, ...media.payloads].join(' ')}`];
+  const codecByPayload = new Map(media.codecs.map(codec => [codec.payload, codec]));
+
+  media.order.forEach(slot => {
+    if (typeof slot === 'object') {
+      if (media.attributes.includes(slot)) lines.push(formatAttribute(slot));
+      else if (media.otherLines.includes(slot)) lines.push(`${slot.type}=${slot.value}`);
+      return;
+    }
+
+    const colon = slot.indexOf(':');
+    const kind = colon < 0 ? slot : slot.substring(0, colon);
+    const codec = colon < 0 ? null : codecByPayload.get(slot.substring(colon + 1));
+
+    switch (kind) {
+      case 'c':
+        if (media.connection !== null) lines.push(`c=${media.connection}`);
+        break;
+      case 'b':
+        media.bandwidth.forEach(bw => lines.push(`b=${bw.type}:${bw.value}`));
+        break;
+      case 'extmap':
+        media.extmap.forEach(ext => {
+          const id = ext.direction ? `${ext.id}/${ext.direction}` : ext.id;
+          lines.push(`a=extmap:${id} ${ext.uri}${ext.attributes ? ` ${ext.attributes}` : ''}`);
+        });
+        break;
+      case 'rtpmap':
+        if (codec && codec.name) lines.push(formatRtpmap(codec));
+        break;
+      case 'rtcp-fb':
+        if (codec) codec.rtcpFb.forEach(fb => lines.push(`a=rtcp-fb:${codec.payload} ${fb}`));
+        break;
+      case 'fmtp':
+        if (codec && codec.fmtp) lines.push(formatFmtp(codec));
+        break;
+      case 'ssrc-group':
+        media.ssrcGroups.forEach(group => lines.push(`a=ssrc-group:${group.semantics} ${group.ssrcs.join(' ')}`));
+        break;
+      case 'ssrc':
+        media.ssrcs.forEach(ssrc => {
+          const attribute = ssrc.value === null ? ssrc.attribute : `${ssrc.attribute}:${ssrc.value}`;
+          lines.push(`a=ssrc:${ssrc.id} ${attribute}`);
+        });
+        break;
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Converter o modelo estruturado de volta em SDP
+ * @param {Object} model - Modelo retornado por parse()
+ * @return {string} - SDP em texto, com o mesmo fim de linha do original
+ */
+function serialize(model) {
+  const lines = model.session.lines.map(line => `${line.type}=${line.value}`);
+  model.media.forEach(media => lines.push(...serializeMedia(media)));
+  return lines.join(model.eol) + (model.trailingEol ? model.eol : '');
+}
+
+// ==== Helpers de consulta e mutação ====
+
+function getMedia(model, kind) {
+  return model.media.filter(media => media.kind === kind);
+}
+
+function findCodecs(media, name) {
+  return media.codecs.filter(codec => codec.name && codec.name.toUpperCase() === name.toUpperCase());
+}
+
+function getCodec(media, payload) {
+  return media.codecs.find(codec => codec.payload === String(payload)) || null;
+}
+
+function getFmtpParam(codec, key) {
+  if (!codec.fmtp) return undefined;
+  const param = codec.fmtp.find(p => p.key === key);
+  return param ? param.value : undefined;
+}
+
+/**
+ * Definir parâmetros fmtp; valores undefined removem o parâmetro
+ * @param {Object} codec - Codec da seção de mídia
+ * @param {Object} params - Ex.: { 'profile-level-id': '640032' }
+ * @param {Object} options - { onlyIfMissing: true } para não sobrescrever valores existentes
+ */
+function setFmtpParams(codec, params, options = {}) {
+  if (!codec.fmtp) codec.fmtp = [];
+  Object.entries(params).forEach(([key, value]) => {
+    const existing = codec.fmtp.find(p => p.key === key);
+    if (value === undefined) {
+      codec.fmtp = codec.fmtp.filter(p => p.key !== key);
+    } else if (existing) {
+      if (!options.onlyIfMissing) existing.value = String(value);
+    } else {
+      codec.fmtp.push({ key, value: value === null ? null : String(value) });
+    }
+  });
+  return codec;
+}
+
+/**
+ * Definir uma linha b= (AS em kbps, TIAS em bps) substituindo a existente do mesmo tipo
+ */
+function setBandwidth(media, type, value) {
+  const existing = media.bandwidth.find(bw => bw.type === type);
+  if (existing) existing.value = value;
+  else media.bandwidth.push({ type, value });
+  return media;
+}
+
+function getBandwidth(media, type) {
+  const existing = media.bandwidth.find(bw => bw.type === type);
+  return existing ? existing.value : undefined;
+}
+
+function getAttribute(media, name) {
+  const attribute = media.attributes.find(a => a.name === name);
+  return attribute ? attribute.value : undefined;
+}
+
+function hasAttribute(media, name) {
+  return media.attributes.some(a => a.name === name);
+}
+
+function setAttribute(media, name, value = null) {
+  const existing = media.attributes.find(a => a.name === name);
+  if (existing) existing.value = value;
+  else media.attributes.push({ name, value });
+  return media;
+}
+
+function removeAttribute(media, name) {
+  media.attributes = media.attributes.filter(a => a.name !== name);
+  return media;
+}
+
+// Atributos de direção de mídia (RFC 3264); sem nenhum deles vale sendrecv
+const DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive'];
+
+function getDirection(media) {
+  const attribute = media.attributes.find(a => DIRECTIONS.includes(a.name));
+  return attribute ? attribute.name : 'sendrecv';
+}
+
+/**
+ * Definir a direção da seção de mídia mantendo a posição do atributo original
+ */
+function setDirection(media, direction) {
+  const current = media.attributes.find(a => DIRECTIONS.includes(a.name));
+  media.attributes = media.attributes.filter(a => a === current || !DIRECTIONS.includes(a.name));
+  if (current) current.name = direction;
+  else media.attributes.push({ name: direction, value: null });
+  return media;
+}
+
+/**
+ * Payload de retransmissão (RTX) associado a um codec, via fmtp apt=
+ */
+function getRtxCodecs(media, payload) {
+  return media.codecs.filter(codec =>
+    codec.name && codec.name.toLowerCase() === 'rtx' && getFmtpParam(codec, 'apt') === String(payload));
+}
+
+/**
+ * Reordenar payloads da linha m= colocando primeiro os codecs preferidos
+ * @param {Object} media - Seção de mídia
+ * @param {string[]|Function} preference - Nomes em ordem de preferência, ou função (codec) => posição
+ */
+function prioritizeCodecs(media, preference) {
+  const rank = typeof preference === 'function'
+    ? preference
+    : (codec) => {
+      const index = codec && codec.name ? preference.map(n => n.toUpperCase()).indexOf(codec.name.toUpperCase()) : -1;
+      return index < 0 ? Infinity : index;
+    };
+
+  media.payloads = media.payloads
+    .map((payload, index) => ({ payload, index, rank: rank(getCodec(media, payload)) }))
+    .sort((a, b) => (a.rank === b.rank ? a.index - b.index : a.rank - b.rank))
+    .map(entry => entry.payload);
+  return media;
+}
+
+/**
+ * Interpretar um atributo a=rid (RFC 8851): "<id> <send|recv> [pt=96,97;max-width=1280;...]"
+ */
+function parseRid(value) {
+  const [id, direction, params = ''] = value.split(' ');
+  const restrictions = params.split(';').filter(part => part.length > 0);
+  const pt = restrictions.find(part => part.startsWith('pt='));
+  return {
+    id,
+    direction,
+    payloads: pt ? pt.substring(3).split(',') : [],
+    restrictions: restrictions.filter(part => part !== pt)
+  };
+}
+
+function formatRid(rid) {
+  const params = (rid.payloads.length > 0 ? [`pt=${rid.payloads.join(',')}`] : []).concat(rid.restrictions);
+  return `${rid.id} ${rid.direction}${params.length > 0 ? ` ${params.join(';')}` : ''}`;
+}
+
+/**
+ * Camadas RID declaradas na seção de mídia
+ * @return {Object[]} - [{ id, direction, payloads, restrictions }]
+ */
+function getRids(media) {
+  return media.attributes
+    .filter(a => a.name === 'rid' && a.value)
+    .map(a => parseRid(a.value));
+}
+
+/**
+ * Atributo a=simulcast (RFC 8853): direção e RIDs na ordem declarada (alternativas e pausados incluídos)
+ * @return {Object|null} - { direction, rids } ou null se a seção não usar simulcast
+ */
+function getSimulcast(media) {
+  const value = getAttribute(media, 'simulcast');
+  if (!value) return null;
+
+  const [direction, streams = ''] = value.split(' ');
+  return {
+    direction,
+    rids: streams.split(/[;,]/).map(rid => rid.replace(/^~/, '')).filter(rid => rid.length > 0)
+  };
+}
+
+/**
+ * Remover codecs (e seus payloads RTX) que satisfaçam o predicado
+ * @return {Object[]} - Codecs removidos
+ */
+function removeCodecs(media, predicate) {
+  const removed = media.codecs.filter(predicate);
+  const removedPayloads = new Set(removed.map(codec => codec.payload));
+
+  // RTX de codecs removidos também deixam de fazer sentido
+  media.codecs.forEach(codec => {
+    if (codec.name && codec.name.toLowerCase() === 'rtx' && removedPayloads.has(getFmtpParam(codec, 'apt'))) {
+      removed.push(codec);
+      removedPayloads.add(codec.payload);
+    }
+  });
+
+  media.codecs = media.codecs.filter(codec => !removedPayloads.has(codec.payload));
+  media.payloads = media.payloads.filter(payload => !removedPayloads.has(payload));
+
+  // Restrições pt= das camadas RID não podem apontar para payloads removidos;
+  // sem nenhum payload restante a camada passa a aceitar qualquer codec da seção
+  media.attributes
+    .filter(a => a.name === 'rid' && a.value)
+    .forEach(attribute => {
+      const rid = parseRid(attribute.value);
+      if (!rid.payloads.some(payload => removedPayloads.has(payload))) return;
+      rid.payloads = rid.payloads.filter(payload => !removedPayloads.has(payload));
+      attribute.value = formatRid(rid);
+    });
+  return removed;
+}
+
+module.exports = {
+  parse,
+  serialize,
+  getMedia,
+  findCodecs,
+  getCodec,
+  getFmtpParam,
+  setFmtpParams,
+  setBandwidth,
+  getBandwidth,
+  getAttribute,
+  hasAttribute,
+  setAttribute,
+  removeAttribute,
+  getDirection,
+  setDirection,
+  getRtxCodecs,
+  getRids,
+  getSimulcast,
+  prioritizeCodecs,
+  removeCodecs
+};
@@ -11,26 +11,175 @@ const cors = require('cors');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
+
+const { loadConfig, qualityFromConfig, validateQuality, ConfigError } = require('./config');
+const { createLogger, LEVELS: LOG_LEVELS } = require('./logger');
+const SDP = require('./sdp');
+const { policyFromQuality, getSelectedVideoCodecs } = require('./codec-policy');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { RecordingStore, RecordingError } = require('./recordings');
+const { SignalingJournal } = require('./journal');
+const { getIceServers, hostFromRequest } = require('./ice-servers');
+const { StunServer } = require('./stun-server');
+const { ladderFromQuality } = require('./bitrate-ladder');
+const { rewriteSdp } = require('./sdp-rules');
+const { MAX_LATENCY, MAX_REPORT_SAMPLES, sanitizeLatencySamples, summarizeLatency } = require('./latency');
 
 // Configurações otimizadas para redes locais de alta velocidade
-const CONFIG = {
-  PORT: process.env.PORT || 8080,
-  MAX_BITRATE: 50000, // 50Mbps para WiFi 5GHz
-  H264_PROFILE: '640032', // High profile, Level 5.0 (4K suporte)
-  TARGET_RESOLUTION: '3840x2160', // 4K UHD
-  TARGET_FRAMERATE: 30,
-  DEFAULT_ROOM: 'ios-camera',
-  PING_INTERVAL: 5000, // 5 segundos para detectar desconexões rapidamente
-  CLEANUP_INTERVAL: 10000, // 10 segundos para limpeza de salas
-  LOG_LEVEL: 'verbose', // verbose, info, warning, error
-  MAX_PAYLOAD_SIZE: 64 * 1024 * 1024, // 64MB para permitir SDP grandes e candidatos ICE
+// (padrões e presets em config.js, ajustáveis por arquivo, variáveis de ambiente e flags)
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  if (error instanceof ConfigError) {
+    console.error(`Erro de configuração: ${error.message}`);
+    process.exit(1);
+  }
+  throw error;
+}
+
+if (CONFIG.HELP) {
+  console.log(CONFIG.HELP);
+  process.exit(0);
+}
+
+// Papéis que um cliente pode assumir dentro de uma sala
+const ROLES = {
+  PUBLISHER: 'publisher',       // Página web que captura e transmite o vídeo (apenas um por sala)
+  IOS_RECEIVER: 'ios-receiver', // Dispositivo iOS que recebe o stream
+  MONITOR: 'monitor'            // Aba de acompanhamento, apenas visualiza
+};
+
+// Papel assumido por clientes que não informam um papel no 'join' (ex.: versões antigas do tweak)
+const DEFAULT_ROLE = ROLES.IOS_RECEIVER;
+
+// Estados da negociação entre o publicador e cada espectador
+const NEGOTIATION_STATES = {
+  PENDING: 'pending',       // Aguardando oferta dedicada do publicador
+  OFFER_SENT: 'offer-sent', // Oferta encaminhada, aguardando resposta
+  ANSWERED: 'answered'      // Resposta recebida do espectador
+};
+
+// Estados ICE reportados pelos peers em 'ice-state'
+const ICE_FAILURE_STATES = ['disconnected', 'failed'];
+const ICE_CONNECTED_STATES = ['connected', 'completed'];
+
+// Sentidos das decisões do controle adaptativo de bitrate ('initial' ao começar cada conexão)
+const ABR_DIRECTIONS = ['initial', 'down', 'up'];
+
+// Camadas de vídeo que um espectador pode escolher: rid do simulcast e redução de resolução correspondente
+const VIDEO_LAYERS = [
+  { rid: 'f', scale: 1 },
+  { rid: 'h', scale: 2 },
+  { rid: 'q', scale: 4 }
+];
+
+// Tempo para o publicador enviar os últimos chunks e encerrar a gravação depois de sair da sala
+const RECORDING_ORPHAN_TIMEOUT = 10000;
+
+// Papéis autorizados a enviar cada tipo de mensagem WebRTC
+const RTC_MESSAGE_ROLES = {
+  'offer': [ROLES.PUBLISHER],
+  'answer': [ROLES.IOS_RECEIVER, ROLES.MONITOR],
+  'ice-candidate': [ROLES.PUBLISHER, ROLES.IOS_RECEIVER, ROLES.MONITOR]
 };
 
+/**
+ * Verificar se um endereço pertence a loopback, link-local ou a uma faixa privada
+ * (127/8, 10/8, 172.16/12, 192.168/16, 169.254/16, ::1, fc00::/7, fe80::/10)
+ */
+function isLocalAddress(address) {
+  if (!address) return false;
+  
+  // Endereços IPv4 mapeados em IPv6 (ex.: ::ffff:192.168.0.10)
+  const ip = address.startsWith('::ffff:') ? address.substring(7) : address;
+  
+  if (ip.includes(':')) {
+    const lower = ip.toLowerCase();
+    return lower === '::1' ||
+      /^f[cd][0-9a-f]{2}:/.test(lower) ||
+      /^fe[89ab][0-9a-f]:/.test(lower);
+  }
+  
+  const octets = ip.split('.').map(Number);
+  if (octets.length !== 4 || octets.some(o => isNaN(o))) return false;
+  
+  const [a, b] = octets;
+  return a === 127 ||
+    a === 10 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254);
+}
+
+function isLoopbackAddress(address) {
+  return address === '::1' || /^(::ffff:)?127\./.test(address || '');
+}
+
+/**
+ * Comparar segredos em tempo constante
+ */
+function secretsMatch(expected, provided) {
+  if (typeof provided !== 'string') return false;
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verificar o segredo apresentado para entrar em uma sala
+ */
+function isAuthorizedForRoom(roomId, token) {
+  const expected = CONFIG.ROOM_SECRETS[roomId] || CONFIG.SHARED_SECRET;
+  if (!expected) return true;
+  return secretsMatch(expected, token);
+}
+
+/**
+ * Token de administração da requisição (Authorization: Bearer <token> ou X-Admin-Token)
+ */
+function getAdminToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.substring(7) : req.get('x-admin-token');
+}
+
+/**
+ * Verificar se a requisição tem acesso administrativo (sem ADMIN_TOKEN, apenas a própria máquina)
+ */
+function isAdminRequest(req) {
+  if (!CONFIG.ADMIN_TOKEN) return isLoopbackAddress(req.socket.remoteAddress);
+  return secretsMatch(CONFIG.ADMIN_TOKEN, getAdminToken(req));
+}
+
+/**
+ * Middleware: exigir token de administração (Authorization: Bearer <token> ou X-Admin-Token)
+ */
+function requireAdmin(req, res, next) {
+  if (!CONFIG.ADMIN_TOKEN) {
+    // Sem token configurado, a administração fica restrita à própria máquina
+    if (isLoopbackAddress(req.socket.remoteAddress)) return next();
+    return res.status(403).json({ error: 'Administração disponível apenas localmente (configure ADMIN_TOKEN)' });
+  }
+  
+  if (!secretsMatch(CONFIG.ADMIN_TOKEN, getAdminToken(req))) {
+    httpLogger.warning(`Acesso administrativo negado para ${req.socket.remoteAddress} em ${req.path}`);
+    return res.status(401).json({ error: 'Token de administração inválido' });
+  }
+  
+  next();
+}
+
 // Configurar app Express
 const app = express();
-app.use(cors({ origin: '*' }));
+app.use((req, res, next) => {
+  if (CONFIG.LOCAL_ONLY && !isLocalAddress(req.socket.remoteAddress)) {
+    return res.status(403).json({ error: 'Acesso permitido apenas a partir da rede local' });
+  }
+  next();
+});
+app.use(cors({ origin: CONFIG.CORS_ORIGIN || false }));
 app.use(express.json());
-app.use(express.static(path.join(__dirname)));
 
 // Criar servidor HTTP e WebSocket
 const server = http.createServer(app);
@@ -43,48 +192,59 @@ const wss = new WebSocket.Server({
 // Armazenar conexões e dados das salas
 const rooms = new Map();
 const clients = new Map();
+const recordings = new RecordingStore(CONFIG.RECORDINGS_DIR, { maxSize: CONFIG.RECORDING_MAX_SIZE });
+const journal = CONFIG.JOURNAL_ENABLED ? new SignalingJournal(CONFIG.JOURNAL_DIR) : null;
+const resumeTokens = new Map(); // resumeToken -> conexão (ativa ou suspensa aguardando retomada)
+
+// Logger raiz e loggers por componente (contexto adicional em cada registro)
+const logger = createLogger(CONFIG);
+const httpLogger = logger.child({ component: 'http' });
+const sdpLogger = logger.child({ component: 'sdp' });
+const signalingLogger = logger.child({ component: 'signaling' });
+
+// Tipos de mensagem contados individualmente em /metrics (os demais entram como 'unknown')
+const METRIC_MESSAGE_TYPES = ['join', 'takeover', 'offer', 'answer', 'ice-candidate', 'ice-state', 'bye', 'keepalive', 'set-config', 'stats-report', 'video-format', 'resume', 'abr-decision', 'select-layer', 'latency-report'];
 
 /**
- * Sistema de logging melhorado com níveis e timestamps
+ * Métricas expostas em /metrics; medidores de salas e clientes são calculados a cada coleta
  */
-class Logger {
-  constructor(level = 'info') {
-    this.levels = {
-      verbose: 0,
-      info: 1,
-      warning: 2,
-      error: 3
-    };
-    this.level = this.levels[level] || this.levels.info;
-    this.logFile = 'webrtc-server.log';
-    
-    // Limpar log antigo no início
-    if (process.env.NODE_ENV !== 'production') {
-      fs.writeFileSync(this.logFile, '', 'utf8');
-    }
-  }
-  
-  _log(level, message) {
-    if (this.levels[level] >= this.level) {
-      const timestamp = new Date().toISOString();
-      const logMessage = `[${timestamp}][${level.toUpperCase()}] ${message}`;
-      
-      console[level === 'warning' ? 'warn' : level](logMessage);
-      
-      // Registrar no arquivo também
-      fs.appendFileSync(this.logFile, logMessage + '\n');
-      
-      return logMessage;
-    }
-  }
-  
-  verbose(message) { return this._log('verbose', message); }
-  info(message) { return this._log('info', message); }
-  warning(message) { return this._log('warning', message); }
-  error(message) { return this._log('error', message); }
-}
-
-const logger = new Logger(CONFIG.LOG_LEVEL);
+const metrics = new Registry();
+const metricMessages = metrics.counter('webrtc_messages_total', 'Mensagens WebSocket recebidas por tipo', ['type']);
+const metricParseErrors = metrics.counter('webrtc_message_parse_errors_total', 'Mensagens WebSocket que não puderam ser processadas');
+const metricPingTerminations = metrics.counter('webrtc_ping_terminations_total', 'Conexões encerradas pelo heartbeat', ['reason']);
+['timeout', 'ping-error'].forEach(reason => metricPingTerminations.inc({ reason }, 0));
+const metricSdpRewrites = metrics.counter('webrtc_sdp_rewrites_total', 'SDPs reescritos por enhanceSdpForHighQuality', ['type']);
+const metricIceRecovery = metrics.counter('webrtc_ice_recovery_total', 'Eventos de recuperação de conexões ICE', ['event']);
+['restart', 'recovered', 'renegotiation'].forEach(event => metricIceRecovery.inc({ event }, 0));
+const metricAbrDecisions = metrics.counter('webrtc_abr_decisions_total', 'Mudanças de degrau do controle adaptativo de bitrate', ['direction']);
+ABR_DIRECTIONS.forEach(direction => metricAbrDecisions.inc({ direction }, 0));
+const metricSdpRewriteDuration = metrics.histogram('webrtc_sdp_rewrite_duration_seconds', 'Duração da reescrita de SDP', ['type']);
+const metricLatency = metrics.histogram('webrtc_glass_to_glass_latency_seconds', 'Latência de ponta a ponta medida pelos espectadores', [],
+  [0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.25, 0.5, 1, 2.5]);
+metrics.gauge('webrtc_connected_clients', 'Conexões WebSocket abertas', [], gauge => {
+  gauge.set({}, wss.clients.size);
+});
+metrics.gauge('webrtc_rooms', 'Salas ativas', [], gauge => {
+  gauge.set({}, rooms.size);
+});
+metrics.gauge('webrtc_room_peers', 'Participantes por sala e papel', ['room', 'role'], gauge => {
+  rooms.forEach(room => {
+    Object.values(ROLES).forEach(role => gauge.set({ room: room.id, role }, 0));
+    room.clients.forEach(client => gauge.inc({ room: room.id, role: client.role }));
+  });
+});
+metrics.gauge('webrtc_room_messages_exchanged', 'Mensagens trocadas desde a criação da sala', ['room'], gauge => {
+  rooms.forEach(room => gauge.set({ room: room.id }, room.stats.messagesExchanged));
+});
+metrics.gauge('webrtc_room_peak_clients', 'Maior número de participantes simultâneos da sala', ['room'], gauge => {
+  rooms.forEach(room => gauge.set({ room: room.id }, room.stats.peakClients));
+});
+metrics.gauge('webrtc_room_reconnections', 'Reconexões registradas na sala', ['room'], gauge => {
+  rooms.forEach(room => gauge.set({ room: room.id }, room.stats.reconnections));
+});
+metrics.gauge('process_uptime_seconds', 'Tempo desde o início do processo', [], gauge => {
+  gauge.set({}, process.uptime());
+});
 
 /**
  * Classe para gerenciar uma sala WebRTC com recursos avançados
@@ -93,9 +253,15 @@ class Room {
   constructor(id) {
     this.id = id;
     this.clients = new Map(); // clientId -> client
-    this.offers = [];
-    this.answers = [];
+    this.negotiations = new Map(); // viewerId -> estado da negociação com o publicador
     this.iceCandidates = new Map(); // senderId -> [candidates]
+    this.publisherId = null; // Cliente que detém o papel de publicador
+    this.quality = qualityFromConfig(CONFIG); // Perfil de qualidade ajustável em tempo real
+    this.logger = logger.child({ component: 'room', roomId: id });
+    this.telemetry = new Map(); // clientId -> { role, peers: Map(peerId -> [amostras]) }
+    this.statsSubscribers = new Set(); // Respostas SSE de /room/:roomId/stats/stream
+    this.recording = null; // Sessão de gravação ativa: { sessionId, startedAt }
+    this.videoFormat = null; // Último formato de vídeo anunciado pelo publicador
     this.created = new Date();
     this.lastActivity = new Date();
     this.stats = {
@@ -109,9 +275,9 @@ class Room {
     return this.clients.has(clientId);
   }
 
-  addClient(client) {
+  addClient(client, role = DEFAULT_ROLE) {
     if (this.clients.has(client.id)) {
-      logger.verbose(`Cliente ${client.id} já está na sala ${this.id}, atualizando referência`);
+      this.logger.verbose(`Cliente ${client.id} já está na sala ${this.id}, atualizando referência`);
       // Atualizar referência para o mesmo cliente
       this.clients.set(client.id, client);
       return this.clients.size;
@@ -119,6 +285,8 @@ class Room {
     
     this.clients.set(client.id, client);
     client.roomId = this.id;
+    client.logger = signalingLogger.child({ clientId: client.id, roomId: this.id });
+    this.setRole(client, role);
     this.lastActivity = new Date();
     
     // Atualizar estatísticas
@@ -134,12 +302,332 @@ class Room {
     if (!client || !client.id) return false;
     const removed = this.clients.delete(client.id);
     if (removed) {
+      client.logger = signalingLogger.child({ clientId: client.id });
+      this.negotiations.delete(client.id);
+      
+      // Descartar a telemetria do cliente e a que o publicador reportou sobre ele
+      this.telemetry.delete(client.id);
+      this.telemetry.forEach(entry => entry.peers.delete(client.id));
+      
+      if (this.publisherId === client.id) {
+        this.publisherId = null;
+        this.resetNegotiations();
+        this.logger.info(`Publicador ${client.id} saiu da sala ${this.id}`);
+        
+        // Sem publicador a gravação fica órfã: fechá-la se o publicador não a encerrar logo após sair
+        if (this.recording) {
+          const { sessionId } = this.recording;
+          setTimeout(() => {
+            if (!this.recording || this.recording.sessionId !== sessionId) return;
+            stopRoomRecording(this, { reason: 'publisher-left' }).catch(error => {
+              this.logger.error(`Erro ao encerrar gravação da sala ${this.id}: ${error.message}`);
+            });
+          }, RECORDING_ORPHAN_TIMEOUT);
+        }
+      }
       this.lastActivity = new Date();
-      logger.verbose(`Cliente ${client.id} removido da sala ${this.id}, restantes: ${this.clients.size}`);
+      this.logger.verbose(`Cliente ${client.id} removido da sala ${this.id}, restantes: ${this.clients.size}`);
+    }
+    return removed;
+  }
+
+  // Registrar uma amostra de telemetria; a série de cada par cliente/peer é limitada
+  addStatsSample(client, peerId, sample) {
+    if (!this.telemetry.has(client.id)) {
+      this.telemetry.set(client.id, { role: client.role, peers: new Map() });
+    }
+    
+    const entry = this.telemetry.get(client.id);
+    entry.role = client.role;
+    if (!entry.peers.has(peerId)) {
+      entry.peers.set(peerId, []);
+    }
+    
+    const series = entry.peers.get(peerId);
+    series.push(sample);
+    if (series.length > CONFIG.STATS_HISTORY_SIZE) {
+      series.splice(0, series.length - CONFIG.STATS_HISTORY_SIZE);
+    }
+    
+    this.publishStatsEvent('stats', { clientId: client.id, role: client.role, peerId, sample });
+  }
+  
+  // Séries lado a lado: para cada espectador, o envio do publicador e a recepção do espectador
+  getTelemetry() {
+    const publisher = this.publisherId ? this.telemetry.get(this.publisherId) : null;
+    const viewerIds = new Set(this.negotiations.keys());
+    this.telemetry.forEach((entry, clientId) => {
+      if (clientId !== this.publisherId) viewerIds.add(clientId);
+    });
+    
+    return {
+      room: this.id,
+      publisherId: this.publisherId,
+      historySize: CONFIG.STATS_HISTORY_SIZE,
+      viewers: Array.from(viewerIds).map(viewerId => {
+        const viewer = this.telemetry.get(viewerId);
+        const client = this.clients.get(viewerId);
+        return {
+          viewerId,
+          role: client ? client.role : (viewer ? viewer.role : null),
+          publisher: (publisher && publisher.peers.get(viewerId)) || [],
+          receiver: (viewer && viewer.peers.get(this.publisherId)) || []
+        };
+      })
+    };
+  }
+  
+  // Enviar um evento a todos os assinantes SSE da sala
+  publishStatsEvent(event, data) {
+    this.statsSubscribers.forEach(res => sendServerEvent(res, event, data));
+  }
+  
+  // Encerrar os streams SSE (sala removida)
+  closeStatsStreams() {
+    this.publishStatsEvent('end', { room: this.id });
+    this.statsSubscribers.forEach(res => res.end());
+    this.statsSubscribers.clear();
+  }
+
+  // Aplicar alterações (já validadas) ao perfil de qualidade da sala
+  updateQuality(changes) {
+    this.quality = Object.assign({}, this.quality, changes);
+    this.lastActivity = new Date();
+    this.logger.info(`Qualidade da sala ${this.id} atualizada: ${JSON.stringify(this.quality)}`);
+    return this.quality;
+  }
+
+  // Mensagem connection-config com o perfil de qualidade atual da sala
+  getConnectionConfig(reason = 'join') {
+    const policy = policyFromQuality(this.quality);
+    return {
+      type: 'connection-config',
+      reason: reason,
+      preset: CONFIG.PRESET,
+      targetBitrate: this.quality.bitrate,
+      preferH264: policy.preferences[0].codec === 'H264',
+      preferredCodec: policy.preferences[0].codec,
+      codecPreferences: policy.preferences,
+      h264Profile: this.quality.h264Profile,
+      targetResolution: this.quality.resolution,
+      targetFramerate: this.quality.framerate,
+      audio: {
+        stereo: this.quality.opusStereo,
+        maxAverageBitrate: this.quality.opusMaxAverageBitrate,
+        useInbandFec: this.quality.opusFec,
+        dtx: this.quality.opusDtx
+      },
+      adaptive: {
+        enabled: this.quality.adaptiveBitrate,
+        minBitrate: Math.min(this.quality.minBitrate, this.quality.bitrate),
+        maxBitrate: this.quality.bitrate,
+        ladder: ladderFromQuality(this.quality)
+      },
+      layers: {
+        mode: this.quality.layering,
+        scalabilityMode: this.quality.scalabilityMode,
+        available: VIDEO_LAYERS
+      },
+      processing: {
+        crop: this.quality.processingCrop === 'none' ? null : this.quality.processingCrop,
+        rotation: Number(this.quality.processingRotation),
+        mirror: this.quality.processingMirror,
+        scale: this.quality.processingScale / 100,
+        overlay: this.quality.processingOverlay,
+        latencyMarker: this.quality.processingLatencyMarker
+      },
+      timestamp: Date.now()
+    };
+  }
+
+  // Verificar se um cliente pode assumir o papel solicitado nesta sala
+  canTakeRole(clientId, role) {
+    if (role !== ROLES.PUBLISHER) return true;
+    return !this.publisherId || this.publisherId === clientId;
+  }
+
+  setRole(client, role) {
+    if (this.publisherId === client.id && role !== ROLES.PUBLISHER) {
+      this.publisherId = null;
+    }
+    if (role === ROLES.PUBLISHER) {
+      this.publisherId = client.id;
+      this.negotiations.delete(client.id);
+    }
+    client.role = role;
+    this.logger.verbose(`Cliente ${client.id} assumiu o papel ${role} na sala ${this.id}`);
+  }
+
+  // Iniciar (ou reiniciar) a negociação dedicada com um espectador
+  startNegotiation(viewer) {
+    const negotiation = {
+      viewerId: viewer.id,
+      role: viewer.role,
+      state: NEGOTIATION_STATES.PENDING,
+      offer: null,
+      answer: null,
+      offerAt: null,
+      answerAt: null,
+      selectedCodecs: [], // Codecs de vídeo escolhidos na resposta
+      iceRestarts: 0, // Tentativas de reinício ICE desde a última conexão bem-sucedida
+      iceRestartTimer: null,
+      abr: null, // Última decisão do controle adaptativo de bitrate do publicador
+      layer: viewer.videoLayer || VIDEO_LAYERS[0].rid, // Camada pedida pelo espectador em 'select-layer'
+      simulcast: null, // RIDs aceitos na resposta (null se o espectador não negociou simulcast)
+      latency: null, // Medições de latência de ponta a ponta reportadas pelo espectador nesta sessão
+      updated: Date.now()
+    };
+    this.negotiations.set(viewer.id, negotiation);
+    return negotiation;
+  }
+
+  // Formato de vídeo do publicador atual (anúncios de publicadores anteriores são ignorados)
+  getVideoFormat() {
+    return this.videoFormat && this.videoFormat.senderId === this.publisherId ? this.videoFormat : null;
+  }
+
+  // Descartar candidatos da geração ICE anterior entre o publicador e um espectador
+  clearIceCandidates(publisherId, viewerId) {
+    let removed = 0;
+    
+    const published = this.iceCandidates.get(publisherId);
+    if (published) {
+      const kept = published.filter(c => c.targetId !== viewerId);
+      removed += published.length - kept.length;
+      this.iceCandidates.set(publisherId, kept);
+    }
+    
+    // O espectador só conversa com o publicador: todos os seus candidatos ficaram obsoletos
+    if (this.iceCandidates.has(viewerId)) {
+      removed += this.iceCandidates.get(viewerId).length;
+      this.iceCandidates.delete(viewerId);
     }
     return removed;
   }
 
+  // Voltar todas as negociações ao estado inicial (ex.: troca de publicador)
+  resetNegotiations() {
+    this.negotiations.clear();
+    this.clients.forEach((client, id) => {
+      if (id !== this.publisherId) {
+        this.startNegotiation(client);
+      }
+    });
+  }
+
+  // Resumo das negociações por espectador, sem os SDPs
+  getNegotiations() {
+    return Array.from(this.negotiations.values()).map(n => ({
+      viewerId: n.viewerId,
+      role: n.role,
+      state: n.state,
+      offerAt: n.offerAt,
+      answerAt: n.answerAt,
+      selectedCodecs: n.selectedCodecs,
+      iceRestarts: n.iceRestarts,
+      abr: n.abr,
+      layer: n.layer,
+      simulcast: n.simulcast,
+      latency: n.latency ? summarizeLatency(n.latency.samples) : null,
+      updated: n.updated
+    }));
+  }
+
+  // Percentis de latência de ponta a ponta de cada sessão publicador -> espectador
+  getLatency() {
+    return {
+      room: this.id,
+      publisherId: this.publisherId,
+      windowSize: CONFIG.LATENCY_WINDOW_SIZE,
+      sessions: Array.from(this.negotiations.values()).map(n => ({
+        viewerId: n.viewerId,
+        role: n.role,
+        since: n.latency ? n.latency.since : null,
+        lastAt: n.latency ? n.latency.lastAt : null,
+        clockRtt: n.latency ? n.latency.clockRtt : null,
+        ...(n.latency ? summarizeLatency(n.latency.samples) : { count: 0 })
+      }))
+    };
+  }
+
+  // Listar quem detém cada papel na sala
+  getRoles() {
+    const roles = {
+      publisher: this.publisherId,
+      iosReceivers: [],
+      monitors: []
+    };
+    
+    this.clients.forEach((client, id) => {
+      if (client.role === ROLES.IOS_RECEIVER) {
+        roles.iosReceivers.push(id);
+      } else if (client.role === ROLES.MONITOR) {
+        roles.monitors.push(id);
+      }
+    });
+    
+    return roles;
+  }
+
+  // Destinatários padrão de uma mensagem sem targetId: publicador <-> espectadores
+  getDefaultRecipients(sender) {
+    if (sender.role === ROLES.PUBLISHER) {
+      return Array.from(this.clients.keys()).filter(id => id !== sender.id);
+    }
+    return this.publisherId && this.publisherId !== sender.id ? [this.publisherId] : [];
+  }
+
+  // Verificar se uma mensagem armazenada interessa a um cliente que está entrando
+  isRelevantFor(message, client) {
+    if (message.senderId === client.id) return false;
+    if (message.targetId && message.targetId !== client.id) return false;
+    // Espectadores só negociam com o publicador e vice-versa
+    return (message.senderRole === ROLES.PUBLISHER) !== (client.role === ROLES.PUBLISHER);
+  }
+
+  // Entregar a um cliente: direto se conectado, na fila se estiver aguardando retomada
+  deliver(client, msgString) {
+    if (client.suspended) {
+      client.queue.push(msgString);
+      if (client.queue.length > CONFIG.RESUME_QUEUE_SIZE) {
+        client.queue.shift();
+        client.queueDropped = (client.queueDropped || 0) + 1;
+      }
+      return true;
+    }
+    
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(msgString);
+      return true;
+    }
+    return false;
+  }
+
+  sendTo(clientIds, message) {
+    try {
+      const msgString = typeof message === 'string' 
+        ? message 
+        : JSON.stringify(message);
+      
+      let sentCount = 0;
+      clientIds.forEach(id => {
+        const client = this.clients.get(id);
+        if (client && this.deliver(client, msgString)) {
+          sentCount++;
+        }
+      });
+      
+      if (sentCount > 0) {
+        this.stats.messagesExchanged++;
+      }
+      
+      return sentCount;
+    } catch (error) {
+      this.logger.error(`Erro ao enviar mensagem direcionada na sala ${this.id}: ${error.message}`);
+      return 0;
+    }
+  }
+
   broadcast(message, exceptClientId = null) {
     try {
       const msgString = typeof message === 'string' 
@@ -148,20 +636,19 @@ class Room {
         
       let sentCount = 0;
       this.clients.forEach((client, id) => {
-        if (id !== exceptClientId && client.readyState === WebSocket.OPEN) {
-          client.send(msgString);
+        if (id !== exceptClientId && this.deliver(client, msgString)) {
           sentCount++;
         }
       });
       
       if (sentCount > 0) {
         this.stats.messagesExchanged++;
-        logger.verbose(`Mensagem broadcast enviada para ${sentCount} clientes na sala ${this.id}`);
+        this.logger.verbose(`Mensagem broadcast enviada para ${sentCount} clientes na sala ${this.id}`);
       }
       
       return sentCount;
     } catch (error) {
-      logger.error(`Erro no broadcast para sala ${this.id}: ${error.message}`);
+      this.logger.error(`Erro no broadcast para sala ${this.id}: ${error.message}`);
       return 0;
     }
   }
@@ -176,19 +663,46 @@ class Room {
     
     switch (type) {
       case 'offer':
-        // Otimizar SDP para redes locais de alta velocidade e baixa latência
-        if (message.sdp) {
-          message.sdp = enhanceSdpForHighQuality(message.sdp);
-          logger.verbose(`SDP de oferta otimizado para alta qualidade na sala ${this.id}`);
-        }
+        // Registrar a oferta na negociação do espectador de destino (ou de todos, sem targetId)
+        const offerTargets = message.targetId
+          ? [message.targetId]
+          : Array.from(this.negotiations.keys());
         
-        // Armazenar apenas a oferta mais recente
-        this.offers = [message];
+        offerTargets.forEach(viewerId => {
+          const negotiation = this.negotiations.get(viewerId) ||
+            (this.clients.has(viewerId) && this.startNegotiation(this.clients.get(viewerId)));
+          if (!negotiation) return;
+          negotiation.offer = message;
+          negotiation.answer = null;
+          negotiation.offerAt = message.timestamp;
+          negotiation.state = NEGOTIATION_STATES.OFFER_SENT;
+          negotiation.updated = message.timestamp;
+        });
         break;
         
       case 'answer':
-        // Armazenar apenas a resposta mais recente
-        this.answers = [message];
+        // A resposta pertence à negociação do espectador que a enviou
+        const negotiation = this.negotiations.get(message.senderId);
+        if (negotiation) {
+          negotiation.answer = message;
+          negotiation.answerAt = message.timestamp;
+          negotiation.state = NEGOTIATION_STATES.ANSWERED;
+          negotiation.updated = message.timestamp;
+          
+          // Registrar qual codec/perfil foi efetivamente escolhido pelo espectador
+          negotiation.selectedCodecs = getSelectedVideoCodecs(message.sdp);
+          negotiation.selectedCodecs.forEach(selected => {
+            this.logger.info(`Codec negociado com ${message.senderId} na sala ${this.id}: ${selected.codec}` +
+              `${selected.profile ? ` perfil ${selected.profile}` : ''} (payload ${selected.payload})`);
+          });
+          
+          negotiation.simulcast = getAcceptedSimulcast(message.sdp);
+          if (negotiation.simulcast) {
+            this.logger.info(`Simulcast aceito por ${message.senderId} na sala ${this.id}: ${negotiation.simulcast.join(', ')}`);
+          }
+        } else {
+          this.logger.warning(`Resposta de ${message.senderId} sem negociação ativa na sala ${this.id}`);
+        }
         break;
         
       case 'ice-candidate':
@@ -202,11 +716,12 @@ class Room {
         // Verificar se é candidato de tipo "host" (conexão direta, melhor para rede local)
         const isHostCandidate = message.candidate && message.candidate.includes('typ host');
         
-        // Verificar se é um candidato duplicado
+        // Verificar se é um candidato duplicado (para o mesmo destinatário)
         const isDuplicate = candidates.some(c => 
           c.candidate === message.candidate && 
           c.sdpMid === message.sdpMid && 
-          c.sdpMLineIndex === message.sdpMLineIndex
+          c.sdpMLineIndex === message.sdpMLineIndex &&
+          c.targetId === message.targetId
         );
         
         if (!isDuplicate) {
@@ -234,12 +749,12 @@ class Room {
             }
           }
         } else {
-          logger.verbose(`Ignorando candidato ICE duplicado de ${message.senderId}`);
+          this.logger.verbose(`Ignorando candidato ICE duplicado de ${message.senderId}`);
         }
         break;
         
       default:
-        logger.verbose(`Mensagem de tipo ${type} não armazenada`);
+        this.logger.verbose(`Mensagem de tipo ${type} não armazenada`);
     }
   }
 
@@ -250,10 +765,15 @@ class Room {
       clients: this.clients.size,
       created: this.created,
       lastActivity: this.lastActivity,
-      offers: this.offers.length,
-      answers: this.answers.length,
+      offers: this.getNegotiations().filter(n => n.offerAt).length,
+      answers: this.getNegotiations().filter(n => n.answerAt).length,
+      viewers: this.getNegotiations(),
       iceCandidatesCount: Array.from(this.iceCandidates.values())
         .reduce((sum, candidates) => sum + candidates.length, 0),
+      roles: this.getRoles(),
+      quality: this.quality,
+      recording: this.recording,
+      videoFormat: this.getVideoFormat(),
       ...this.stats
     };
   }
@@ -279,8 +799,8 @@ function cleanupRooms() {
   
   // Primeiro, limpar clientes que não estão mais conectados
   for (const [id, room] of rooms.entries()) {
-    for (const [clientId, client] of room.clients.entries()) {
-      if (client.readyState === WebSocket.CLOSED || client.readyState === WebSocket.CLOSING) {
+    for (const client of room.clients.values()) {
+      if (!client.suspended && (client.readyState === WebSocket.CLOSED || client.readyState === WebSocket.CLOSING)) {
         room.removeClient(client);
         removedClients++;
       }
@@ -288,6 +808,7 @@ function cleanupRooms() {
     
     // Em seguida, remover salas vazias
     if (room.isEmpty()) {
+      room.closeStatsStreams();
       rooms.delete(id);
       removedRooms++;
     }
@@ -304,193 +825,22 @@ setInterval(cleanupRooms, CONFIG.CLEANUP_INTERVAL);
 /**
  * Otimizar SDP para máxima qualidade e baixa latência em redes locais
  * @param {string} sdp - Session Description Protocol string
+ * @param {Object} quality - Perfil de qualidade da sala (bitrate, framerate, política de codecs, h264Profile)
+ * @param {string} type - 'offer' (publicador -> espectador) ou 'answer' (espectador -> publicador)
  * @return {string} - SDP otimizado
  */
-function enhanceSdpForHighQuality(sdp) {
+function enhanceSdpForHighQuality(sdp, quality = qualityFromConfig(CONFIG), type = 'offer') {
   if (!sdp) return sdp;
   
-  const lines = sdp.split('\n');
-  const newLines = [];
-  let inVideoSection = false;
-  let videoSectionModified = false;
+  const result = metricSdpRewriteDuration.time({ type }, () => rewriteSdp(sdp, quality, type, sdpLogger));
+  metricSdpRewrites.inc({ type });
   
-  // Controlar tipos de payload para evitar duplicatas
-  const seenPayloads = new Set();
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Verificar duplicatas nos formatos RTX
-    if (line.startsWith('a=rtpmap:') && line.includes('rtx/')) {
-      const payloadMatch = line.match(/^a=rtpmap:(\d+)\s/);
-      if (payloadMatch) {
-        const payloadType = payloadMatch[1];
-        if (seenPayloads.has(payloadType)) {
-          continue; // Pular duplicata
-        }
-        seenPayloads.add(payloadType);
-      }
-    }
-    
-    // Detectar seção de vídeo e reordenar codecs
-    if (line.startsWith('m=video')) {
-      inVideoSection = true;
-      
-      // Reordenar codecs para priorizar H.264
-      if (line.includes('H264') || line.includes('VP8') || line.includes('VP9')) {
-        const parts = line.split(' ');
-        if (parts.length > 3) {
-          // Separar a linha em partes e payloads
-          const prefix = parts.slice(0, 3);
-          const payloads = parts.slice(3);
-          
-          // Separar e classificar os payloads por tipo de codec
-          let codecPayloads = {
-            'H264': [],
-            'other': []
-          };
-          
-          // Mapear payloads por codec
-          let codecMap = new Map();
-          
-          // Primeiro passo: analisar linhas futuras para mapear payloads para codecs
-          for (let j = i + 1; j < lines.length && !lines[j].startsWith('m='); j++) {
-            const rtpmapLine = lines[j];
-            if (rtpmapLine.startsWith('a=rtpmap:')) {
-              const match = rtpmapLine.match(/^a=rtpmap:(\d+)\s([A-Za-z0-9]+)/);
-              if (match && match.length >= 3) {
-                const payload = match[1];
-                const codec = match[2];
-                codecMap.set(payload, codec);
-              }
-            }
-          }
-          
-          // Segundo passo: classificar payloads
-          for (const payload of payloads) {
-            const codec = codecMap.get(payload);
-            if (codec === 'H264') {
-              codecPayloads['H264'].push(payload);
-            } else {
-              codecPayloads['other'].push(payload);
-            }
-          }
-          
-          // Recriar a linha com codecs priorizados
-          const newLine = [...prefix, ...codecPayloads['H264'], ...codecPayloads['other']].join(' ');
-          newLines.push(newLine);
-          continue;
-        }
-      }
-    } 
-    else if (line.startsWith('m=')) {
-      inVideoSection = false;
-    }
-    
-    // Para seção de vídeo, adicionar taxa de bits alta para 4K
-    if (inVideoSection && line.startsWith('c=') && !videoSectionModified) {
-      newLines.push(line);
-      newLines.push(`b=AS:${CONFIG.MAX_BITRATE}`); // Taxa de bits muito alta para rede local
-      newLines.push(`b=TIAS:${CONFIG.MAX_BITRATE * 1000}`); // Também especificar em kbps
-      videoSectionModified = true;
-      continue;
-    }
-    
-    // Modificar profile-level-id de H.264 para suportar 4K e alta taxa de bits
-    if (inVideoSection && line.includes('profile-level-id') && line.includes('H264')) {
-      // Substituir por perfil de alta qualidade
-      const modifiedLine = line.replace(/profile-level-id=[0-9a-fA-F]+/i, `profile-level-id=${CONFIG.H264_PROFILE}`);
-      
-      // Adicionar packetization-mode=1 se não existir
-      if (!modifiedLine.includes('packetization-mode')) {
-        newLines.push(`${modifiedLine};packetization-mode=1`);
-      } else {
-        newLines.push(modifiedLine);
-      }
-      continue;
-    }
-    
-    // Configurar fmtp para alta qualidade H.264
-    if (inVideoSection && line.startsWith('a=fmtp:') && !line.includes('apt=')) {
-      const payload = line.split(':')[1].split(' ')[0];
-      
-      // Verificar se este payload está relacionado a H.264
-      let isH264 = false;
-      for (let j = 0; j < lines.length; j++) {
-        if (lines[j].startsWith(`a=rtpmap:${payload} H264`)) {
-          isH264 = true;
-          break;
-        }
-      }
-      
-      if (isH264) {
-        // Adicionar parâmetros para qualidade de vídeo H.264
-        let updatedLine = line;
-        
-        if (!updatedLine.includes('profile-level-id')) {
-          updatedLine += `;profile-level-id=${CONFIG.H264_PROFILE}`;
-        } else {
-          updatedLine = updatedLine.replace(/profile-level-id=[0-9a-fA-F]+/i, `profile-level-id=${CONFIG.H264_PROFILE}`);
-        }
-        
-        // Adicionar parâmetros adicionais para streaming de alta qualidade
-        const h264Params = {
-          'level-asymmetry-allowed': '1',
-          'packetization-mode': '1',
-          'sprop-parameter-sets': '', // Deixar vazio para ser preenchido pelo navegador
-        };
-        
-        // Adicionar parâmetros que ainda não existem na linha
-        for (const [param, value] of Object.entries(h264Params)) {
-          if (value && !updatedLine.includes(`${param}=`)) {
-            updatedLine += `;${param}=${value}`;
-          }
-        }
-        
-        newLines.push(updatedLine);
-        continue;
-      }
-    }
-    
-    // Adicionar framerate mais alto se em seção de vídeo e não presente
-    if (inVideoSection && (line.startsWith('a=rtpmap:') || line.startsWith('a=rtcp-fb:'))) {
-      const hasFramerate = lines.some(l => l.startsWith('a=framerate:'));
-      
-      if (!hasFramerate && i > 0 && lines[i-1].startsWith('a=rtpmap:') && lines[i-1].includes('H264')) {
-        // Adicionar framerate alto para H.264 após linha rtpmap
-        newLines.push(line);
-        newLines.push(`a=framerate:${CONFIG.TARGET_FRAMERATE}`);
-        continue;
-      }
-    }
-    
-    // Configurar x-google-* parâmetros para Chrome
-    if (inVideoSection && line.includes('x-google')) {
-      // Ajustar parâmetros específicos do Chrome para alta qualidade
-      if (line.includes('x-google-max-bitrate')) {
-        newLines.push(`a=x-google-max-bitrate:${CONFIG.MAX_BITRATE}`);
-        continue;
-      }
-      if (line.includes('x-google-min-bitrate')) {
-        newLines.push(`a=x-google-min-bitrate:${Math.floor(CONFIG.MAX_BITRATE * 0.5)}`);
-        continue;
-      }
-      if (line.includes('x-google-start-bitrate')) {
-        newLines.push(`a=x-google-start-bitrate:${Math.floor(CONFIG.MAX_BITRATE * 0.7)}`);
-        continue;
-      }
-    }
-    
-    // Manter todas as outras linhas intactas
-    newLines.push(line);
+  // Registro para verificação (SDPs completos apenas em verbose, sem montar as strings nos demais níveis)
+  if (sdpLogger.isLevelEnabled('verbose')) {
+    sdpLogger.verbose(`SDP ${type} original:\n${sdp}`);
+    sdpLogger.verbose(`SDP ${type} otimizado:\n${result}`);
   }
   
-  const result = newLines.join('\n');
-  
-  // Registro para verificação
-  logger.verbose(`SDP original:\n${sdp}`);
-  logger.verbose(`SDP otimizado:\n${result}`);
-  
   return result;
 }
 
@@ -500,61 +850,125 @@ function enhanceSdpForHighQuality(sdp) {
 function analyzeSdpQuality(sdp) {
   if (!sdp) return { hasVideo: false };
   
+  const session = SDP.parse(sdp);
+  const video = SDP.getMedia(session, 'video')[0];
+  const audio = SDP.getMedia(session, 'audio').find(media => media.port !== 0);
   const result = {
-    hasVideo: sdp.includes('m=video'),
-    hasAudio: sdp.includes('m=audio'),
-    hasH264: sdp.includes('H264'),
+    hasVideo: Boolean(video),
+    hasAudio: Boolean(audio),
+    hasH264: Boolean(video && SDP.findCodecs(video, 'H264').length > 0),
     resolution: "desconhecida",
     fps: "desconhecido",
     bitrate: "desconhecido"
   };
   
+  // Áudio: codec preferido da seção e parâmetros Opus
+  if (audio) {
+    const codec = audio.payloads.map(payload => SDP.getCodec(audio, payload)).find(c => c && c.name);
+    result.audioCodec = codec ? `${codec.name}/${codec.clockRate}${codec.channels ? `/${codec.channels}` : ''}` : "desconhecido";
+    result.audioDirection = SDP.getDirection(audio);
+    
+    const opus = SDP.findCodecs(audio, 'opus')[0];
+    if (opus) {
+      const maxAverageBitrate = SDP.getFmtpParam(opus, 'maxaveragebitrate');
+      result.opus = {
+        stereo: SDP.getFmtpParam(opus, 'stereo') === '1' || SDP.getFmtpParam(opus, 'sprop-stereo') === '1',
+        maxAverageBitrate: maxAverageBitrate ? `${Math.round(maxAverageBitrate / 1000)}kbps` : "padrão",
+        fec: SDP.getFmtpParam(opus, 'useinbandfec') === '1',
+        dtx: SDP.getFmtpParam(opus, 'usedtx') === '1'
+      };
+    }
+  }
+  
+  if (!video) return result;
+  
   // Extrair resolução
-  const resMatch = sdp.match(/a=imageattr:.*send.*\[x=([0-9]+)\-?([0-9]+)?\,y=([0-9]+)\-?([0-9]+)?]/i);
-  if (resMatch && resMatch.length >= 4) {
+  const imageattr = SDP.getAttribute(video, 'imageattr');
+  const resMatch = imageattr && imageattr.match(/send.*\[x=([0-9]+)\-?([0-9]+)?\,y=([0-9]+)\-?([0-9]+)?]/i);
+  if (resMatch) {
     const width = resMatch[2] || resMatch[1];
     const height = resMatch[4] || resMatch[3];
     result.resolution = `${width}x${height}`;
   }
   
   // Extrair FPS
-  const fpsMatch = sdp.match(/a=framerate:([0-9]+)/i);
-  if (fpsMatch && fpsMatch.length >= 2) {
-    result.fps = `${fpsMatch[1]}fps`;
+  const framerate = SDP.getAttribute(video, 'framerate');
+  if (framerate) {
+    result.fps = `${parseInt(framerate, 10)}fps`;
   }
   
   // Extrair bitrate
-  const bitrateMatch = sdp.match(/b=AS:([0-9]+)/i);
-  if (bitrateMatch && bitrateMatch.length >= 2) {
-    result.bitrate = `${bitrateMatch[1]}kbps`;
+  const bitrate = SDP.getBandwidth(video, 'AS');
+  if (bitrate !== undefined) {
+    result.bitrate = `${bitrate}kbps`;
+  }
+  
+  // Camadas simulcast declaradas (a=simulcast com os rids)
+  const simulcast = SDP.getSimulcast(video);
+  if (simulcast) {
+    result.simulcast = `${simulcast.direction} ${simulcast.rids.join(',')}`;
   }
   
   // H.264 profile level
-  const profileMatch = sdp.match(/profile-level-id=([0-9a-fA-F]+)/i);
-  if (profileMatch && profileMatch.length >= 2) {
-    result.h264Profile = profileMatch[1];
+  const h264 = SDP.findCodecs(video, 'H264').find(codec => SDP.getFmtpParam(codec, 'profile-level-id'));
+  if (h264) {
+    result.h264Profile = SDP.getFmtpParam(h264, 'profile-level-id');
   }
   
   return result;
 }
 
-// Lidar com conexões WebSocket
-wss.on('connection', (ws, req) => {
-  // Atribuir um ID único a este cliente
-  const clientId = Date.now().toString(36) + Math.random().toString(36).substring(2);
-  ws.id = clientId;
-  ws.isAlive = true;
-  clients.set(clientId, ws);
-  
-  // Verificar se a conexão é local
-  const isLocalConnection = 
-    req.socket.remoteAddress === '127.0.0.1' || 
-    req.socket.remoteAddress === '::1' ||
-    req.socket.remoteAddress.startsWith('192.168.') ||
-    req.socket.remoteAddress.startsWith('10.') ||
-    req.socket.remoteAddress.startsWith('172.16.');
+/**
+ * Resumo de uma análise de SDP em uma linha de log
+ */
+function describeSdpQuality(quality) {
+  let description = `vídeo=${quality.hasVideo}, resolução=${quality.resolution}, fps=${quality.fps}, bitrate=${quality.bitrate}`;
+  if (quality.simulcast) description += `, simulcast=${quality.simulcast}`;
   
-  logger.info(`Nova conexão: ${clientId} de ${req.socket.remoteAddress} ${isLocalConnection ? '(local)' : '(remota)'}`);
+  if (!quality.hasAudio) return `${description}, áudio=false`;
+  
+  description += `, áudio=${quality.audioCodec} (${quality.audioDirection})`;
+  if (quality.opus) {
+    description += `, opus: estéreo=${quality.opus.stereo}, bitrate=${quality.opus.maxAverageBitrate}` +
+      `, fec=${quality.opus.fec}, dtx=${quality.opus.dtx}`;
+  }
+  return description;
+}
+
+// Lidar com conexões WebSocket
+wss.on('connection', (ws, req) => {
+  ws.logger = signalingLogger;
+  
+  // Verificar se a conexão é local
+  const isLocalConnection = isLocalAddress(req.socket.remoteAddress);
+  
+  if (CONFIG.LOCAL_ONLY && !isLocalConnection) {
+    ws.logger.warning(`Conexão remota recusada de ${req.socket.remoteAddress}`);
+    ws.close(1008, 'Apenas conexões da rede local são permitidas');
+    return;
+  }
+  
+  // Atribuir um ID único a este cliente
+  const clientId = Date.now().toString(36) + Math.random().toString(36).substring(2);
+  ws.id = clientId;
+  ws.logger = signalingLogger.child({ clientId });
+  ws.isAlive = true;
+  clients.set(clientId, ws);
+  
+  // Token para retomar esta sessão (id, papel e sala) em uma nova conexão após uma queda
+  ws.resumeToken = crypto.randomBytes(16).toString('hex');
+  resumeTokens.set(ws.resumeToken, ws);
+  
+  // Journal: registrar tudo o que o servidor envia a este cliente (direto ou via sala)
+  if (journal) {
+    const send = ws.send.bind(ws);
+    ws.send = (data, ...args) => {
+      journalOutgoing(ws, data);
+      return send(data, ...args);
+    };
+  }
+  
+  ws.logger.info(`Nova conexão: ${clientId} de ${req.socket.remoteAddress} ${isLocalConnection ? '(local)' : '(remota)'}`);
   
   // Configuração para processar pings e configurar heartbeat
   ws.isAlive = true;
@@ -564,7 +978,7 @@ wss.on('connection', (ws, req) => {
   
   // Lidar com erros
   ws.on('error', (error) => {
-    logger.error(`Erro WebSocket (${clientId}): ${error.message}`);
+    ws.logger.error(`Erro WebSocket (${ws.id}): ${error.message}`);
   });
   
   // Processar mensagens recebidas
@@ -574,28 +988,46 @@ wss.on('connection', (ws, req) => {
       const msgType = data.type;
       const msgRoomId = data.roomId || CONFIG.DEFAULT_ROOM;
       
+      metricMessages.inc({ type: METRIC_MESSAGE_TYPES.includes(msgType) ? msgType : 'unknown' });
+      
+      if (journal) {
+        // Respostas a esta mensagem (inclusive erros antes do 'join') vão para o journal da mesma sala
+        ws.journalRoomId = msgRoomId;
+        journal.record(msgRoomId, { direction: 'in', clientId: ws.id, role: ws.role, message: data });
+      }
+      
       // Processar explicitamente mensagens keepalive do cliente
       if (msgType === 'keepalive') {
         // Responder com keepalive-ack e resetar isAlive
+        // clientTime volta como veio: com o timestamp (relógio do servidor) o cliente estima a diferença entre os relógios
         ws.isAlive = true;
         ws.send(JSON.stringify({
           type: 'keepalive-ack',
+          clientTime: typeof data.clientTime === 'number' ? data.clientTime : undefined,
           timestamp: Date.now()
         }));
         return; // Não processe mais esta mensagem
       }
       
       if (!msgType) {
-        logger.warning(`Mensagem recebida sem tipo de ${ws.id}`);
+        ws.logger.warning(`Mensagem recebida sem tipo de ${ws.id}`);
         return;
       }
       
-      logger.verbose(`Recebida mensagem ${msgType} de ${ws.id} para sala ${msgRoomId}`);
+      ws.logger.verbose(`Recebida mensagem ${msgType} de ${ws.id} para sala ${msgRoomId}`);
       
       // Lidar com diferentes tipos de mensagem
       switch (msgType) {
         case 'join':
-          handleJoinMessage(ws, msgRoomId);
+          handleJoinMessage(ws, msgRoomId, data.role, data.token);
+          break;
+          
+        case 'takeover':
+          handleTakeoverMessage(ws, msgRoomId, data.token);
+          break;
+          
+        case 'resume':
+          handleResumeMessage(ws, data.resumeToken);
           break;
           
         case 'offer':
@@ -608,11 +1040,40 @@ wss.on('connection', (ws, req) => {
           handleByeMessage(ws, msgRoomId);
           break;
           
+        case 'set-config':
+          handleSetConfigMessage(ws, data, msgRoomId);
+          break;
+          
+        case 'stats-report':
+          handleStatsReportMessage(ws, data, msgRoomId);
+          break;
+          
+        case 'ice-state':
+          handleIceStateMessage(ws, data, msgRoomId);
+          break;
+          
+        case 'video-format':
+          handleVideoFormatMessage(ws, data, msgRoomId);
+          break;
+          
+        case 'abr-decision':
+          handleAbrDecisionMessage(ws, data, msgRoomId);
+          break;
+          
+        case 'select-layer':
+          handleSelectLayerMessage(ws, data, msgRoomId);
+          break;
+          
+        case 'latency-report':
+          handleLatencyReportMessage(ws, data, msgRoomId);
+          break;
+          
         default:
-          logger.warning(`Tipo de mensagem desconhecido: ${msgType}`);
+          ws.logger.warning(`Tipo de mensagem desconhecido: ${msgType}`);
       }
     } catch (e) {
-      logger.error(`Erro ao processar mensagem de ${ws.id}: ${e.message}`);
+      ws.logger.error(`Erro ao processar mensagem de ${ws.id}: ${e.message}`);
+      metricParseErrors.inc();
       try {
         ws.send(JSON.stringify({
           type: 'error', 
@@ -627,23 +1088,23 @@ wss.on('connection', (ws, req) => {
   
   // Lidar com desconexão
   ws.on('close', () => {
-    logger.info(`Cliente ${ws.id} desconectado`);
-    clients.delete(clientId);
+    // Sessão já retomada por outra conexão: nada a desfazer
+    if (ws.resumedBy) return;
     
-    // Notificar sala sobre a partida se o cliente estava em uma sala
-    if (ws.roomId && rooms.has(ws.roomId)) {
-      const room = rooms.get(ws.roomId);
-      
-      // Notificar outros clientes na sala
-      room.broadcast({
-        type: 'user-left',
-        userId: ws.id,
-        timestamp: Date.now()
-      });
-      
-      // Remover o cliente da sala
-      room.removeClient(ws);
+    ws.logger.info(`Cliente ${ws.id} desconectado`);
+    
+    if (journal) {
+      // Evento sintético, para que a reprodução desconecte o peer no mesmo ponto
+      journal.record(ws.roomId || ws.journalRoomId, { direction: 'in', clientId: ws.id, role: ws.role, message: { type: 'disconnect' } });
+    }
+    
+    // Em uma sala, aguardar a retomada antes de anunciar a saída
+    if (ws.roomId && rooms.has(ws.roomId) && CONFIG.RESUME_GRACE_PERIOD > 0) {
+      suspendClient(ws);
+      return;
     }
+    
+    finalizeDisconnect(ws);
   });
 
   // Enviar informações iniciais do servidor para o cliente
@@ -651,27 +1112,182 @@ wss.on('connection', (ws, req) => {
     ws.send(JSON.stringify({
       type: 'server-info',
       version: '2.0.0',
+      preset: CONFIG.PRESET,
       maxBitrate: CONFIG.MAX_BITRATE,
-      preferredCodecs: ['H264'],
+      targetResolution: CONFIG.TARGET_RESOLUTION,
+      targetFramerate: CONFIG.TARGET_FRAMERATE,
+      h264Profile: CONFIG.H264_PROFILE,
+      preferredCodecs: Array.from(new Set(policyFromQuality(qualityFromConfig(CONFIG)).preferences.map(p => p.codec))),
       defaultRoom: CONFIG.DEFAULT_ROOM,
+      clientId: ws.id,
+      resumeToken: ws.resumeToken,
+      iceServers: getIceServers(CONFIG, { host: hostFromRequest(req), userId: ws.id }),
+      iceHostOnly: CONFIG.ICE_HOST_ONLY,
+      resumeGracePeriod: CONFIG.RESUME_GRACE_PERIOD,
       timestamp: Date.now()
     }));
   } catch (e) {
-    logger.error(`Erro ao enviar informações iniciais: ${e.message}`);
+    ws.logger.error(`Erro ao enviar informações iniciais: ${e.message}`);
   }
 });
 
+/**
+ * Saída definitiva de um cliente: anunciar à sala e removê-lo
+ */
+function finalizeDisconnect(ws) {
+  clients.delete(ws.id);
+  resumeTokens.delete(ws.resumeToken);
+  
+  // Notificar sala sobre a partida se o cliente estava em uma sala
+  if (ws.roomId && rooms.has(ws.roomId)) {
+    const room = rooms.get(ws.roomId);
+    
+    // Notificar outros clientes na sala
+    room.broadcast({
+      type: 'user-left',
+      userId: ws.id,
+      timestamp: Date.now()
+    }, ws.id);
+    
+    // Remover o cliente da sala
+    room.removeClient(ws);
+  }
+}
+
+/**
+ * Manter o cliente na sala durante o período de retomada, guardando o que for enviado a ele
+ */
+function suspendClient(ws) {
+  ws.suspended = true;
+  ws.queue = [];
+  ws.logger.info(`Cliente ${ws.id} aguardando retomada por ${CONFIG.RESUME_GRACE_PERIOD}ms`);
+  
+  ws.resumeTimer = setTimeout(() => {
+    ws.suspended = false;
+    ws.logger.info(`Cliente ${ws.id} não retomou a sessão, removendo da sala ${ws.roomId}`);
+    finalizeDisconnect(ws);
+  }, CONFIG.RESUME_GRACE_PERIOD);
+}
+
+/**
+ * Lidar com mensagem 'resume': a nova conexão assume id, papel e sala da anterior
+ */
+function handleResumeMessage(ws, resumeToken) {
+  const previous = typeof resumeToken === 'string' ? resumeTokens.get(resumeToken) : null;
+  const room = previous && previous.roomId ? rooms.get(previous.roomId) : null;
+  
+  const fail = (reason, message) => {
+    ws.logger.info(`Retomada recusada para ${ws.id}: ${message}`);
+    try {
+      ws.send(JSON.stringify({
+        type: 'resume-failed',
+        code: reason,
+        message,
+        timestamp: Date.now()
+      }));
+    } catch (err) {
+      // Ignorar erros ao enviar mensagens de erro
+    }
+  };
+  
+  if (!previous || previous === ws) {
+    return fail('unknown-token', 'Sessão desconhecida ou expirada');
+  }
+  if (!room || !room.hasClient(previous.id)) {
+    return fail('expired', 'Sessão anterior não está mais em uma sala');
+  }
+  if (ws.roomId) {
+    return fail('already-joined', 'Esta conexão já entrou em uma sala');
+  }
+  
+  // Encerrar a sessão anterior sem anunciar saída (queda ainda não detectada pelo heartbeat)
+  clearTimeout(previous.resumeTimer);
+  previous.resumedBy = ws;
+  if (!previous.suspended) {
+    previous.terminate();
+  }
+  resumeTokens.delete(previous.resumeToken);
+  
+  // Assumir a identidade anterior no lugar do id provisório desta conexão
+  clients.delete(ws.id);
+  ws.id = previous.id;
+  ws.roomId = previous.roomId;
+  ws.role = previous.role;
+  ws.videoLayer = previous.videoLayer;
+  ws.journalRoomId = previous.roomId;
+  ws.logger = signalingLogger.child({ clientId: ws.id, roomId: room.id });
+  clients.set(ws.id, ws);
+  room.clients.set(ws.id, ws);
+  room.stats.reconnections++;
+  room.lastActivity = new Date();
+  
+  const queued = previous.queue || [];
+  ws.logger.info(`Cliente ${ws.id} retomou a sessão na sala ${room.id} como ${ws.role}` +
+    ` (${queued.length} mensagens pendentes${previous.queueDropped ? `, ${previous.queueDropped} descartadas` : ''})`);
+  
+  ws.send(JSON.stringify({
+    type: 'resumed',
+    clientId: ws.id,
+    roomId: room.id,
+    role: ws.role,
+    queued: queued.length,
+    dropped: previous.queueDropped || 0,
+    resumeToken: ws.resumeToken,
+    timestamp: Date.now()
+  }));
+  queued.forEach(message => ws.send(message));
+}
+
+/**
+ * Registrar no journal uma mensagem enviada a um cliente, na sala em que ele está
+ * (ou na última sala a que se dirigiu, para erros de 'join')
+ */
+function journalOutgoing(ws, data) {
+  const roomId = ws.roomId || ws.journalRoomId;
+  if (!roomId || typeof data !== 'string') return;
+  
+  try {
+    journal.record(roomId, { direction: 'out', clientId: ws.id, role: ws.role, message: JSON.parse(data) });
+  } catch (error) {
+    ws.logger.verbose(`Mensagem não registrada no journal: ${error.message}`);
+  }
+}
+
 /**
  * Lidar com mensagem 'join'
  */
-function handleJoinMessage(ws, roomId) {
+function handleJoinMessage(ws, roomId, role = DEFAULT_ROLE, token) {
   try {
+    // Validar o segredo da sala
+    if (!isAuthorizedForRoom(roomId, token)) {
+      ws.logger.warning(`Cliente ${ws.id} apresentou segredo inválido para a sala ${roomId}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'unauthorized',
+        message: `Acesso negado à sala ${roomId}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
+    // Validar o papel solicitado
+    if (!Object.values(ROLES).includes(role)) {
+      ws.logger.warning(`Cliente ${ws.id} solicitou papel inválido: ${role}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'invalid-role',
+        message: `Papel inválido: ${role}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
     // Obter ou criar a sala
     const room = getOrCreateRoom(roomId);
 
     // Verificar se o cliente já está nesta sala
     if (ws.roomId === roomId && room.hasClient(ws.id)) {
-      logger.verbose(`Cliente ${ws.id} já está na sala ${roomId}, ignorando entrada duplicada`);
+      ws.logger.verbose(`Cliente ${ws.id} já está na sala ${roomId}, ignorando entrada duplicada`);
       ws.send(JSON.stringify({
         type: 'info',
         message: `Já conectado à sala ${roomId}`,
@@ -680,6 +1296,19 @@ function handleJoinMessage(ws, roomId) {
       return;
     }
 
+    // Apenas um publicador por sala; a troca deve ser feita explicitamente via 'takeover'
+    if (!room.canTakeRole(ws.id, role)) {
+      ws.logger.warning(`Cliente ${ws.id} tentou entrar como publicador na sala ${roomId}, mas ${room.publisherId} já publica`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'publisher-exists',
+        message: `A sala ${roomId} já possui um publicador`,
+        publisherId: room.publisherId,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+
     // Se o cliente estava em outra sala, removê-lo
     if (ws.roomId && rooms.has(ws.roomId)) {
       const oldRoom = rooms.get(ws.roomId);
@@ -688,42 +1317,36 @@ function handleJoinMessage(ws, roomId) {
         type: 'user-left',
         userId: ws.id
       });
-      logger.verbose(`Cliente ${ws.id} saiu da sala ${ws.roomId} para entrar em ${roomId}`);
+      ws.logger.verbose(`Cliente ${ws.id} saiu da sala ${ws.roomId} para entrar em ${roomId}`);
       delete ws.roomId;
     }
     
     // Adicionar cliente à sala
-    const clientCount = room.addClient(ws);
-    logger.info(`Cliente ${ws.id} entrou na sala ${roomId}, total: ${clientCount}`);
+    const clientCount = room.addClient(ws, role);
+    ws.logger.info(`Cliente ${ws.id} entrou na sala ${roomId} como ${role}, total: ${clientCount}`);
     
     // Notificar outros clientes
     room.broadcast({
       type: 'user-joined',
       userId: ws.id,
+      role: role,
       timestamp: Date.now()
     }, ws.id);
     
-    // Enviar configurações otimizadas para o cliente
-    ws.send(JSON.stringify({
-      type: 'connection-config',
-      targetBitrate: CONFIG.MAX_BITRATE,
-      preferH264: true,
-      targetResolution: CONFIG.TARGET_RESOLUTION,
-      targetFramerate: CONFIG.TARGET_FRAMERATE,
-      timestamp: Date.now()
-    }));
+    // Enviar configurações de qualidade da sala para o cliente
+    ws.send(JSON.stringify(room.getConnectionConfig()));
     
-    // Enviar oferta mais recente se disponível
-    if (room.offers.length > 0) {
-      const latestOffer = room.offers[room.offers.length - 1];
-      ws.send(JSON.stringify(latestOffer));
+    // Espectadores que chegam durante a transmissão já recebem o formato atual do vídeo
+    if (role !== ROLES.PUBLISHER && room.getVideoFormat()) {
+      ws.send(JSON.stringify(room.getVideoFormat()));
     }
     
-    // Enviar candidatos ICE relevantes
-    for (const [senderId, candidates] of room.iceCandidates.entries()) {
+    // Enviar apenas os candidatos ICE destinados a este cliente
+    for (const candidates of room.iceCandidates.values()) {
+      const relevant = candidates.filter(c => room.isRelevantFor(c, ws));
       // Enviar apenas os 10 primeiros candidatos por cliente para evitar sobrecarga
-      for (let i = 0; i < Math.min(candidates.length, 10); i++) {
-        ws.send(JSON.stringify(candidates[i]));
+      for (let i = 0; i < Math.min(relevant.length, 10); i++) {
+        ws.send(JSON.stringify(relevant[i]));
       }
     }
     
@@ -732,10 +1355,19 @@ function handleJoinMessage(ws, roomId) {
       type: 'room-info',
       clients: room.clients.size,
       room: roomId,
+      role: role,
+      roles: room.getRoles(),
       timestamp: Date.now()
     }));
+    
+    // Cada espectador recebe uma oferta dedicada do publicador
+    if (role === ROLES.PUBLISHER) {
+      requestOffers(room);
+    } else {
+      requestOffer(room, ws);
+    }
   } catch (error) {
-    logger.error(`Erro ao processar join para ${ws.id}: ${error.message}`);
+    ws.logger.error(`Erro ao processar join para ${ws.id}: ${error.message}`);
     try {
       ws.send(JSON.stringify({
         type: 'error',
@@ -748,6 +1380,121 @@ function handleJoinMessage(ws, roomId) {
   }
 }
 
+/**
+ * Pedir ao publicador uma oferta dedicada para um espectador
+ */
+function requestOffer(room, viewer) {
+  room.startNegotiation(viewer);
+  
+  if (!room.publisherId) {
+    room.logger.verbose(`Sala ${room.id} sem publicador, ${viewer.id} aguardará a oferta`);
+    return;
+  }
+  
+  room.sendTo([room.publisherId], {
+    type: 'create-offer',
+    viewerId: viewer.id,
+    viewerRole: viewer.role,
+    layer: viewer.videoLayer || VIDEO_LAYERS[0].rid,
+    timestamp: Date.now()
+  });
+  room.logger.info(`Solicitada oferta dedicada para ${viewer.id} (${viewer.role}) na sala ${room.id}`);
+}
+
+/**
+ * Pedir ofertas para todos os espectadores da sala (ex.: novo publicador)
+ */
+function requestOffers(room) {
+  room.clients.forEach((client, id) => {
+    if (id !== room.publisherId) {
+      requestOffer(room, client);
+    }
+  });
+}
+
+/**
+ * Lidar com mensagem 'takeover': o remetente assume explicitamente o papel de publicador
+ */
+function handleTakeoverMessage(ws, roomId, token) {
+  try {
+    if (!isAuthorizedForRoom(roomId, token)) {
+      ws.logger.warning(`Cliente ${ws.id} apresentou segredo inválido para assumir a sala ${roomId}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'unauthorized',
+        message: `Acesso negado à sala ${roomId}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
+    const room = getOrCreateRoom(roomId);
+    const previousId = room.publisherId;
+    
+    if (previousId === ws.id) {
+      ws.send(JSON.stringify({
+        type: 'info',
+        message: `Você já é o publicador da sala ${roomId}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
+    // Rebaixar o publicador anterior para monitor
+    const previous = previousId ? room.clients.get(previousId) : null;
+    if (previous) {
+      room.setRole(previous, ROLES.MONITOR);
+      room.deliver(previous, JSON.stringify({
+        type: 'role-revoked',
+        role: ROLES.PUBLISHER,
+        newRole: ROLES.MONITOR,
+        by: ws.id,
+        timestamp: Date.now()
+      }));
+    }
+    
+    // Candidatos armazenados pertencem ao publicador anterior
+    if (previousId) {
+      room.iceCandidates.delete(previousId);
+    }
+    
+    if (ws.roomId === roomId && room.hasClient(ws.id)) {
+      room.setRole(ws, ROLES.PUBLISHER);
+      ws.send(JSON.stringify({
+        type: 'room-info',
+        clients: room.clients.size,
+        room: roomId,
+        role: ROLES.PUBLISHER,
+        roles: room.getRoles(),
+        timestamp: Date.now()
+      }));
+      requestOffers(room);
+    } else {
+      handleJoinMessage(ws, roomId, ROLES.PUBLISHER, token);
+    }
+    
+    ws.logger.info(`Cliente ${ws.id} assumiu a publicação da sala ${roomId}${previousId ? ` no lugar de ${previousId}` : ''}`);
+    
+    room.broadcast({
+      type: 'publisher-changed',
+      publisherId: ws.id,
+      previousPublisherId: previousId,
+      timestamp: Date.now()
+    }, ws.id);
+  } catch (error) {
+    ws.logger.error(`Erro ao processar takeover de ${ws.id}: ${error.message}`);
+    try {
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Erro ao assumir a publicação da sala',
+        details: error.message
+      }));
+    } catch (e) {
+      // Ignorar erros ao enviar mensagens de erro
+    }
+  }
+}
+
 /**
  * Lidar com mensagens WebRTC (offer, answer, ice-candidate)
  */
@@ -755,7 +1502,7 @@ function handleRtcMessage(ws, type, data, roomId) {
   try {
     // Garantir que o cliente esteja na sala especificada
     if (!ws.roomId || ws.roomId !== roomId) {
-      logger.warning(`Cliente ${ws.id} tentou enviar ${type}, mas não está na sala ${roomId}`);
+      ws.logger.warning(`Cliente ${ws.id} tentou enviar ${type}, mas não está na sala ${roomId}`);
       ws.send(JSON.stringify({
         type: 'error',
         message: `Você não está na sala ${roomId}`,
@@ -766,7 +1513,7 @@ function handleRtcMessage(ws, type, data, roomId) {
     
     const room = rooms.get(roomId);
     if (!room) {
-      logger.warning(`Sala ${roomId} não existe para mensagem ${type}`);
+      ws.logger.warning(`Sala ${roomId} não existe para mensagem ${type}`);
       ws.send(JSON.stringify({
         type: 'error',
         message: `Sala ${roomId} não existe`,
@@ -775,40 +1522,88 @@ function handleRtcMessage(ws, type, data, roomId) {
       return;
     }
     
+    // Verificar se o papel do remetente permite este tipo de mensagem
+    if (!RTC_MESSAGE_ROLES[type].includes(ws.role)) {
+      ws.logger.warning(`Cliente ${ws.id} (${ws.role}) não tem permissão para enviar ${type} na sala ${roomId}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'forbidden',
+        message: `O papel ${ws.role} não pode enviar ${type}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
     // Adicionar ID do remetente à mensagem
     data.senderId = ws.id;
+    data.senderRole = ws.role;
     data.timestamp = Date.now();
     
     // Para oferta ou resposta, registrar qualidade e otimizar SDP
     if ((type === 'offer' || type === 'answer') && data.sdp) {
       const originalQuality = analyzeSdpQuality(data.sdp);
-      logger.info(`Qualidade ${type} original: vídeo=${originalQuality.hasVideo}, resolução=${originalQuality.resolution}, fps=${originalQuality.fps}, bitrate=${originalQuality.bitrate}`);
+      ws.logger.info(`Qualidade ${type} original: ${describeSdpQuality(originalQuality)}`);
       
-      // Aprimorar SDP para alta qualidade
-      if (type === 'offer') {
-        data.sdp = enhanceSdpForHighQuality(data.sdp);
+      // Aprimorar SDP nos dois sentidos, salvo se a sala desativou a reescrita (depuração)
+      if (room.quality.sdpRewrite) {
+        data.sdp = enhanceSdpForHighQuality(data.sdp, room.quality, type);
         const newQuality = analyzeSdpQuality(data.sdp);
-        logger.info(`Qualidade ${type} otimizada: vídeo=${newQuality.hasVideo}, resolução=${newQuality.resolution}, fps=${newQuality.fps}, bitrate=${newQuality.bitrate}`);
+        ws.logger.info(`Qualidade ${type} otimizada: ${describeSdpQuality(newQuality)}`);
+      } else {
+        ws.logger.verbose(`Reescrita de SDP desativada na sala ${roomId}, ${type} repassado sem alterações`);
       }
     }
     
     // Para candidatos ICE, adicionar timestamp e priorizar candidatos de rede local
     if (type === 'ice-candidate') {
       if (data.candidate && data.candidate.includes('typ host')) {
-        logger.verbose(`Candidato ICE de tipo host recebido de ${ws.id}`);
+        ws.logger.verbose(`Candidato ICE de tipo host recebido de ${ws.id}`);
         // Alta prioridade para candidatos de rede local
         data.priority = 'high';
+      } else if (data.candidate && CONFIG.ICE_HOST_ONLY) {
+        // Modo apenas host: candidatos srflx/relay não são repassados
+        ws.logger.verbose(`Candidato ICE não-host de ${ws.id} descartado (ICE_HOST_ONLY)`);
+        return;
+      }
+    }
+    
+    // Validar destinatário explícito: precisa estar conectado e na mesma sala
+    if (data.targetId) {
+      const target = clients.get(data.targetId);
+      if (!target || target.roomId !== roomId) {
+        ws.logger.warning(`Destinatário ${data.targetId} de ${type} não encontrado na sala ${roomId}`);
+        ws.send(JSON.stringify({
+          type: 'error',
+          code: 'target-not-found',
+          message: `Destinatário ${data.targetId} não está na sala ${roomId}`,
+          timestamp: Date.now()
+        }));
+        return;
+      }
+    }
+    
+    // Oferta de reinício ICE (sinalizada pelo publicador ou com novas credenciais ICE): descartar candidatos antigos
+    if (type === 'offer' && data.targetId && data.sdp) {
+      const negotiation = room.negotiations.get(data.targetId);
+      const previousUfrag = negotiation && negotiation.offer ? getIceUfrag(negotiation.offer.sdp) : null;
+      if (data.iceRestart === true || (previousUfrag && previousUfrag !== getIceUfrag(data.sdp))) {
+        data.iceRestart = true;
+        const removed = room.clearIceCandidates(ws.id, data.targetId);
+        metricIceRecovery.inc({ event: 'restart' });
+        ws.logger.info(`Oferta de reinício ICE para ${data.targetId} (tentativa ${negotiation ? negotiation.iceRestarts : '?'}),` +
+          ` ${removed} candidatos antigos descartados`);
       }
     }
     
     // Armazenar a mensagem na sala
     room.storeMessage(type, data);
     
-    // Transmitir para todos os outros clientes na sala
-    const sent = room.broadcast(data, ws.id);
-    logger.verbose(`Mensagem ${type} enviada para ${sent} clientes na sala ${roomId}`);
+    // Encaminhar ao destinatário indicado ou, sem targetId, aos pares do outro lado da negociação
+    const recipients = data.targetId ? [data.targetId] : room.getDefaultRecipients(ws);
+    const sent = room.sendTo(recipients, data);
+    ws.logger.verbose(`Mensagem ${type} enviada para ${sent} clientes na sala ${roomId}${data.targetId ? ` (destino ${data.targetId})` : ''}`);
   } catch (error) {
-    logger.error(`Erro ao processar mensagem ${type} de ${ws.id}: ${error.message}`);
+    ws.logger.error(`Erro ao processar mensagem ${type} de ${ws.id}: ${error.message}`);
     try {
       ws.send(JSON.stringify({
         type: 'error',
@@ -822,38 +1617,552 @@ function handleRtcMessage(ws, type, data, roomId) {
 }
 
 /**
- * Lidar com mensagem 'bye'
+ * RIDs que o espectador aceitou receber na resposta (a=simulcast:recv), ou null sem simulcast
  */
-function handleByeMessage(ws, roomId) {
-  try {
-    logger.info(`Processando mensagem 'bye' do cliente ${ws.id} para sala ${roomId}`);
-    
-    // Validar se o cliente está realmente nesta sala
-    if (!ws.roomId || ws.roomId !== roomId) {
-      logger.warning(`Cliente ${ws.id} enviou 'bye', mas não está na sala ${roomId}`);
-      return;
+function getAcceptedSimulcast(sdp) {
+  if (!sdp) return null;
+  const video = SDP.getMedia(SDP.parse(sdp), 'video').find(media => media.port !== 0);
+  const simulcast = video && SDP.getSimulcast(video);
+  return simulcast && simulcast.direction === 'recv' && simulcast.rids.length > 0 ? simulcast.rids : null;
+}
+
+/**
+ * Credencial ICE (ice-ufrag) de um SDP; muda a cada reinício ICE
+ */
+function getIceUfrag(sdp) {
+  const model = SDP.parse(sdp);
+  const media = model.media.find(m => SDP.getAttribute(m, 'ice-ufrag') !== undefined);
+  if (media) return SDP.getAttribute(media, 'ice-ufrag');
+  
+  const line = model.session.lines.find(l => l.type === 'a' && l.value.startsWith('ice-ufrag:'));
+  return line ? line.value.substring('ice-ufrag:'.length) : null;
+}
+
+/**
+ * Lidar com mensagem 'ice-state': um peer informa o estado ICE da conexão publicador-espectador
+ * O publicador indica o espectador em targetId; o espectador informa sobre a própria conexão
+ */
+function handleIceStateMessage(ws, data, roomId) {
+  if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+    ws.logger.warning(`Cliente ${ws.id} enviou estado ICE, mas não está na sala ${roomId}`);
+    return;
+  }
+  
+  const room = rooms.get(roomId);
+  const viewerId = ws.role === ROLES.PUBLISHER ? data.targetId : ws.id;
+  const negotiation = viewerId ? room.negotiations.get(viewerId) : null;
+  if (!negotiation) {
+    ws.logger.verbose(`Estado ICE ${data.state} sem negociação ativa para ${viewerId} na sala ${roomId}`);
+    return;
+  }
+  
+  if (ICE_CONNECTED_STATES.includes(data.state)) {
+    if (negotiation.iceRestartTimer) {
+      clearTimeout(negotiation.iceRestartTimer);
+      negotiation.iceRestartTimer = null;
+    }
+    if (negotiation.iceRestarts > 0) {
+      room.logger.info(`Conexão com ${viewerId} recuperada após ${negotiation.iceRestarts} reinício(s) ICE`);
+      metricIceRecovery.inc({ event: 'recovered' });
+      room.sendTo([room.publisherId, viewerId].filter(Boolean), {
+        type: 'ice-recovered',
+        viewerId,
+        attempts: negotiation.iceRestarts,
+        timestamp: Date.now()
+      });
+      negotiation.iceRestarts = 0;
     }
+  } else if (ICE_FAILURE_STATES.includes(data.state)) {
+    ws.logger.info(`Conexão ICE com ${ws.role === ROLES.PUBLISHER ? viewerId : 'o publicador'} em estado ${data.state}`);
+    scheduleIceRestart(room, negotiation);
+  }
+}
+
+/**
+ * Agendar o próximo reinício ICE de um espectador com espera exponencial
+ * Enquanto o estado conectado não for reportado, cada tentativa agenda a seguinte;
+ * esgotadas as tentativas, a conexão é renegociada do zero com uma nova oferta dedicada
+ */
+function scheduleIceRestart(room, negotiation) {
+  if (negotiation.iceRestartTimer) return;
+  
+  const viewerId = negotiation.viewerId;
+  const delay = Math.min(CONFIG.ICE_RESTART_BASE_DELAY * Math.pow(2, negotiation.iceRestarts), CONFIG.ICE_RESTART_MAX_DELAY);
+  
+  negotiation.iceRestartTimer = setTimeout(() => {
+    negotiation.iceRestartTimer = null;
     
-    const room = rooms.get(roomId);
-    if (!room) {
-      logger.warning(`Sala ${roomId} não existe para mensagem 'bye'`);
+    // Negociação substituída ou sala removida enquanto aguardava
+    if (rooms.get(room.id) !== room || room.negotiations.get(viewerId) !== negotiation) return;
+    
+    const viewer = room.clients.get(viewerId);
+    if (!viewer || !room.publisherId) return;
+    
+    if (negotiation.iceRestarts >= CONFIG.ICE_RESTART_MAX_ATTEMPTS) {
+      room.logger.warning(`Reinício ICE com ${viewerId} falhou ${negotiation.iceRestarts} vezes, renegociando a conexão`);
+      metricIceRecovery.inc({ event: 'renegotiation' });
+      requestOffer(room, viewer);
       return;
     }
     
-    // Notificar outros clientes
-    room.broadcast({
-      type: 'peer-disconnected',
-      userId: ws.id,
+    negotiation.iceRestarts++;
+    room.logger.info(`Solicitando reinício ICE ${negotiation.iceRestarts}/${CONFIG.ICE_RESTART_MAX_ATTEMPTS} com ${viewerId}`);
+    room.sendTo([room.publisherId, viewerId], {
+      type: 'renegotiation-needed',
+      reason: 'ice-restart',
+      viewerId,
+      attempt: negotiation.iceRestarts,
+      maxAttempts: CONFIG.ICE_RESTART_MAX_ATTEMPTS,
       timestamp: Date.now()
-    }, ws.id);
-    
-    // Remover cliente da sala
-    room.removeClient(ws);
+    });
     
-    // Definir roomId como null para evitar problemas
-    ws.roomId = null;
+    // Se a conexão não voltar, a próxima tentativa espera o dobro
+    scheduleIceRestart(room, negotiation);
+  }, delay);
+}
+
+/**
+ * Aplicar novo perfil de qualidade à sala e avisar todos os pares
+ * @throws {ConfigError} - Se algum campo for inválido
+ */
+function applyRoomQuality(room, changes, source) {
+  const validated = validateQuality(changes, source);
+  room.updateQuality(validated);
+  room.broadcast(room.getConnectionConfig('update'));
+  return room.quality;
+}
+
+/**
+ * Lidar com mensagem 'set-config': o publicador altera a qualidade da sala em tempo real
+ */
+function handleSetConfigMessage(ws, data, roomId) {
+  try {
+    if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+      ws.logger.warning(`Cliente ${ws.id} tentou alterar configuração, mas não está na sala ${roomId}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: `Você não está na sala ${roomId}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
     
-    logger.info(`Cliente ${ws.id} enviou 'bye' e foi removido da sala ${roomId}`);
+    if (ws.role !== ROLES.PUBLISHER) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'forbidden',
+        message: `O papel ${ws.role} não pode alterar a configuração da sala`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
+    applyRoomQuality(rooms.get(roomId), data.config, `set-config de ${ws.id}`);
+  } catch (error) {
+    ws.logger.warning(`Erro ao aplicar set-config de ${ws.id}: ${error.message}`);
+    try {
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: error instanceof ConfigError ? 'invalid-config' : undefined,
+        message: 'Erro ao alterar configuração da sala',
+        details: error.message
+      }));
+    } catch (e) {
+      // Ignorar erros ao enviar mensagens de erro
+    }
+  }
+}
+
+// Campos aceitos em 'stats-report': numéricos (bitrate em kbps, rtt em ms, perda em %) e textuais
+const STATS_NUMERIC_FIELDS = ['bitrate', 'targetBitrate', 'abrLevel', 'fps', 'rtt', 'packetLoss', 'jitter', 'framesDropped', 'nack', 'pli', 'fir'];
+const STATS_TEXT_FIELDS = ['resolution', 'codec', 'qualityLimitationReason', 'encoderImplementation', 'decoderImplementation'];
+
+/**
+ * Filtrar um snapshot de getStats() enviado por um cliente
+ * @return {Object|null} - Amostra com timestamp do servidor, ou null se não houver campo válido
+ */
+function sanitizeStatsSample(stats) {
+  if (!stats || typeof stats !== 'object' || Array.isArray(stats)) return null;
+  
+  const sample = {};
+  STATS_NUMERIC_FIELDS.forEach(field => {
+    const value = stats[field];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      sample[field] = Math.round(value * 100) / 100;
+    }
+  });
+  STATS_TEXT_FIELDS.forEach(field => {
+    if (typeof stats[field] === 'string' && stats[field].length > 0) {
+      sample[field] = stats[field].substring(0, 64);
+    }
+  });
+  
+  if (Object.keys(sample).length === 0) return null;
+  sample.at = Date.now();
+  return sample;
+}
+
+/**
+ * Lidar com mensagem 'stats-report': snapshot periódico de getStats() de um peer
+ */
+function handleStatsReportMessage(ws, data, roomId) {
+  try {
+    if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+      ws.logger.warning(`Cliente ${ws.id} enviou estatísticas, mas não está na sala ${roomId}`);
+      return;
+    }
+    
+    const room = rooms.get(roomId);
+    const sample = sanitizeStatsSample(data.stats);
+    if (!sample) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'invalid-stats',
+        message: 'stats-report sem campos de estatística válidos',
+        details: `Campos aceitos: ${STATS_NUMERIC_FIELDS.concat(STATS_TEXT_FIELDS).join(', ')}`,
+        timestamp: Date.now()
+      }));
+      return;
+    }
+    
+    // O publicador reporta por espectador; espectadores reportam sobre o publicador
+    const peerId = data.peerId || room.publisherId;
+    if (!peerId) return;
+    
+    room.addStatsSample(ws, peerId, sample);
+  } catch (error) {
+    ws.logger.error(`Erro ao processar stats-report de ${ws.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Lidar com mensagem 'video-format': o publicador mudou resolução, framerate ou fonte durante a transmissão
+ * Os espectadores são avisados para reconfigurar seus buffers sem renegociar
+ */
+function handleVideoFormatMessage(ws, data, roomId) {
+  if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+    ws.logger.warning(`Cliente ${ws.id} anunciou formato de vídeo, mas não está na sala ${roomId}`);
+    return;
+  }
+  
+  const room = rooms.get(roomId);
+  if (ws.id !== room.publisherId) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'forbidden',
+      message: 'Apenas o publicador pode anunciar o formato de vídeo',
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  const isDimension = value => Number.isInteger(value) && value >= 16 && value <= 7680;
+  const frameRate = Number(data.frameRate);
+  if (!isDimension(data.width) || !isDimension(data.height) || !(frameRate > 0 && frameRate <= 240)) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'invalid-video-format',
+      message: 'video-format requer width e height inteiros (16 a 7680) e frameRate entre 0 e 240',
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  room.videoFormat = {
+    type: 'video-format',
+    width: data.width,
+    height: data.height,
+    frameRate: Math.round(frameRate * 100) / 100,
+    source: typeof data.source === 'string' ? data.source.substring(0, 32) : null,
+    reason: typeof data.reason === 'string' ? data.reason.substring(0, 32) : null,
+    senderId: ws.id,
+    timestamp: Date.now()
+  };
+  room.lastActivity = new Date();
+  
+  const sent = room.broadcast(room.videoFormat, ws.id);
+  ws.logger.info(`Formato de vídeo na sala ${roomId}: ${data.width}x${data.height}@${room.videoFormat.frameRate}fps` +
+    `${room.videoFormat.source ? ` (${room.videoFormat.source})` : ''}, avisados ${sent} espectador(es)`);
+}
+
+/**
+ * Lidar com mensagem 'abr-decision': o controle adaptativo do publicador mudou de degrau para um espectador
+ * A decisão fica na negociação (visível em /room/:roomId/info) e é contada em /metrics
+ */
+function handleAbrDecisionMessage(ws, data, roomId) {
+  if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+    ws.logger.warning(`Cliente ${ws.id} enviou decisão de bitrate, mas não está na sala ${roomId}`);
+    return;
+  }
+  
+  const room = rooms.get(roomId);
+  if (ws.id !== room.publisherId) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'forbidden',
+      message: 'Apenas o publicador pode enviar decisões de bitrate',
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  const negotiation = room.negotiations.get(data.targetId);
+  const bitrate = Number(data.bitrate);
+  if (!negotiation || !Number.isInteger(data.level) || data.level < 0 ||
+      !(bitrate > 0) || !ABR_DIRECTIONS.includes(data.direction)) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'invalid-abr-decision',
+      message: 'abr-decision requer targetId de um espectador, level inteiro, bitrate positivo e direction válida',
+      details: `Direções aceitas: ${ABR_DIRECTIONS.join(', ')}`,
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  negotiation.abr = {
+    level: data.level,
+    bitrate: Math.round(bitrate),
+    scale: Number(data.scale) >= 1 ? Number(data.scale) : 1,
+    framerate: Number(data.framerate) > 0 ? Number(data.framerate) : null,
+    direction: data.direction,
+    reason: typeof data.reason === 'string' ? data.reason.substring(0, 64) : null,
+    at: Date.now()
+  };
+  negotiation.updated = Date.now();
+  metricAbrDecisions.inc({ direction: data.direction });
+  
+  const abr = negotiation.abr;
+  ws.logger.info(`Bitrate para ${data.targetId}: degrau ${abr.level} (${abr.bitrate} kbps, ` +
+    `resolução /${abr.scale}${abr.framerate ? `, ${abr.framerate}fps` : ''}) [${abr.direction}]${abr.reason ? `: ${abr.reason}` : ''}`);
+}
+
+/**
+ * Lidar com mensagem 'select-layer': um espectador escolhe a camada de vídeo que quer receber
+ * A escolha vale para as próximas ofertas e é repassada ao publicador, que ajusta as codificações da conexão
+ */
+function handleSelectLayerMessage(ws, data, roomId) {
+  if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+    ws.logger.warning(`Cliente ${ws.id} escolheu camada de vídeo, mas não está na sala ${roomId}`);
+    return;
+  }
+  
+  const room = rooms.get(roomId);
+  if (ws.id === room.publisherId) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'forbidden',
+      message: 'Apenas espectadores podem escolher a camada de vídeo',
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  if (!VIDEO_LAYERS.some(layer => layer.rid === data.layer)) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'invalid-layer',
+      message: `Camada de vídeo inválida: ${data.layer}`,
+      details: `Camadas aceitas: ${VIDEO_LAYERS.map(layer => layer.rid).join(', ')}`,
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  ws.videoLayer = data.layer;
+  const negotiation = room.negotiations.get(ws.id);
+  if (negotiation) {
+    negotiation.layer = data.layer;
+    negotiation.updated = Date.now();
+  }
+  room.lastActivity = new Date();
+  
+  ws.logger.info(`Cliente ${ws.id} escolheu a camada ${data.layer} na sala ${roomId}`);
+  if (room.publisherId) {
+    room.sendTo([room.publisherId], {
+      type: 'select-layer',
+      viewerId: ws.id,
+      layer: data.layer,
+      timestamp: Date.now()
+    });
+  }
+}
+
+/**
+ * Lidar com mensagem 'latency-report': medições de latência de ponta a ponta feitas por um espectador
+ * As medições entram na janela da sessão com o publicador, e os percentis atualizados são enviados ao publicador
+ */
+function handleLatencyReportMessage(ws, data, roomId) {
+  if (!ws.roomId || ws.roomId !== roomId || !rooms.has(roomId)) {
+    ws.logger.warning(`Cliente ${ws.id} enviou medições de latência, mas não está na sala ${roomId}`);
+    return;
+  }
+  
+  const room = rooms.get(roomId);
+  const negotiation = room.negotiations.get(ws.id);
+  if (!negotiation) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'forbidden',
+      message: 'Apenas espectadores com sessão ativa podem reportar latência',
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  const samples = sanitizeLatencySamples(data.samples);
+  if (!samples) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'invalid-latency-report',
+      message: 'latency-report requer samples com medições em ms',
+      details: `De 1 a ${MAX_REPORT_SAMPLES} medições entre 0 e ${MAX_LATENCY} ms`,
+      timestamp: Date.now()
+    }));
+    return;
+  }
+  
+  if (!negotiation.latency) {
+    negotiation.latency = { since: Date.now(), lastAt: null, clockRtt: null, samples: [] };
+  }
+  const latency = negotiation.latency;
+  latency.samples.push(...samples);
+  if (latency.samples.length > CONFIG.LATENCY_WINDOW_SIZE) {
+    latency.samples.splice(0, latency.samples.length - CONFIG.LATENCY_WINDOW_SIZE);
+  }
+  latency.lastAt = Date.now();
+  if (typeof data.clockRtt === 'number' && data.clockRtt >= 0) {
+    latency.clockRtt = Math.round(data.clockRtt * 10) / 10;
+  }
+  samples.forEach(value => metricLatency.observe({}, value / 1000));
+  
+  const summary = summarizeLatency(latency.samples);
+  room.publishStatsEvent('latency', { viewerId: ws.id, latency: summary });
+  if (room.publisherId) {
+    room.sendTo([room.publisherId], {
+      type: 'latency-update',
+      viewerId: ws.id,
+      latency: summary,
+      clockRtt: latency.clockRtt,
+      timestamp: Date.now()
+    });
+  }
+  ws.logger.verbose(`Latência ${room.publisherId} -> ${ws.id}: p50 ${summary.p50} ms, p95 ${summary.p95} ms (${summary.count} medições)`);
+}
+
+/**
+ * Escrever um evento Server-Sent Events
+ */
+function sendServerEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Abrir uma sessão de gravação na sala e anunciá-la aos participantes
+ */
+async function startRoomRecording(room, details) {
+  const metadata = await recordings.start(room.id, details);
+  room.recording = { sessionId: metadata.sessionId, startedAt: metadata.startedAt };
+  
+  room.logger.info(`Gravação ${metadata.sessionId} iniciada na sala ${room.id} (${metadata.resolution || '?'}, ${metadata.codec || metadata.mimeType || '?'})`);
+  room.broadcast({
+    type: 'recording-status',
+    recording: true,
+    sessionId: metadata.sessionId,
+    startedAt: metadata.startedAt,
+    timestamp: Date.now()
+  });
+  return metadata;
+}
+
+/**
+ * Encerrar a sessão de gravação ativa da sala e anunciar o fim
+ */
+async function stopRoomRecording(room, details) {
+  const { sessionId } = room.recording;
+  room.recording = null;
+  
+  const metadata = await recordings.stop(room.id, sessionId, details);
+  room.logger.info(`Gravação ${sessionId} encerrada na sala ${room.id}: ${metadata.chunks} chunks, ${metadata.size} bytes${metadata.reason ? ` (${metadata.reason})` : ''}`);
+  room.broadcast({
+    type: 'recording-status',
+    recording: false,
+    sessionId,
+    startedAt: metadata.startedAt,
+    stoppedAt: metadata.stoppedAt,
+    size: metadata.size,
+    reason: metadata.reason,
+    timestamp: Date.now()
+  });
+  return metadata;
+}
+
+/**
+ * Responder a uma falha nas rotas de gravação
+ */
+function sendRecordingError(res, error, action) {
+  if (error instanceof RecordingError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  httpLogger.error(`Erro ao ${action}: ${error.message}`);
+  res.status(500).json({ error: `Erro ao ${action}` });
+}
+
+/**
+ * Middleware: exigir o segredo da sala (X-Room-Token) para enviar gravações
+ */
+function requireRoomToken(req, res, next) {
+  if (!isAuthorizedForRoom(req.params.roomId, req.get('x-room-token'))) {
+    httpLogger.warning(`Segredo inválido para ${req.method} ${req.path} de ${req.socket.remoteAddress}`);
+    return res.status(401).json({ error: 'Segredo da sala inválido' });
+  }
+  next();
+}
+
+/**
+ * Middleware: exigir o segredo da sala (X-Room-Token) ou o token de administração para consultar a sala
+ */
+function requireRoomAccess(req, res, next) {
+  if (isAuthorizedForRoom(req.params.roomId, req.get('x-room-token')) || isAdminRequest(req)) {
+    return next();
+  }
+  httpLogger.warning(`Acesso negado a ${req.method} ${req.path} de ${req.socket.remoteAddress}`);
+  res.status(401).json({ error: 'Segredo da sala ou token de administração inválido' });
+}
+
+/**
+ * Lidar com mensagem 'bye'
+ */
+function handleByeMessage(ws, roomId) {
+  try {
+    ws.logger.info(`Processando mensagem 'bye' do cliente ${ws.id} para sala ${roomId}`);
+    
+    // Validar se o cliente está realmente nesta sala
+    if (!ws.roomId || ws.roomId !== roomId) {
+      ws.logger.warning(`Cliente ${ws.id} enviou 'bye', mas não está na sala ${roomId}`);
+      return;
+    }
+    
+    const room = rooms.get(roomId);
+    if (!room) {
+      ws.logger.warning(`Sala ${roomId} não existe para mensagem 'bye'`);
+      return;
+    }
+    
+    // Notificar outros clientes
+    room.broadcast({
+      type: 'peer-disconnected',
+      userId: ws.id,
+      timestamp: Date.now()
+    }, ws.id);
+    
+    // Remover cliente da sala
+    room.removeClient(ws);
+    
+    // Definir roomId como null para evitar problemas
+    ws.roomId = null;
+    
+    ws.logger.info(`Cliente ${ws.id} enviou 'bye' e foi removido da sala ${roomId}`);
     
     // Enviar confirmação para o cliente
     ws.send(JSON.stringify({
@@ -862,7 +2171,7 @@ function handleByeMessage(ws, roomId) {
       timestamp: Date.now()
     }));
   } catch (error) {
-    logger.error(`Erro ao processar bye de ${ws.id}: ${error.message}`);
+    ws.logger.error(`Erro ao processar bye de ${ws.id}: ${error.message}`);
   }
 }
 
@@ -870,7 +2179,8 @@ function handleByeMessage(ws, roomId) {
 const pingInterval = setInterval(() => {
   wss.clients.forEach(ws => {
     if (ws.isAlive === false) {
-      logger.info(`Terminando conexão inativa: ${ws.id}`);
+      ws.logger.info(`Terminando conexão inativa: ${ws.id}`);
+      metricPingTerminations.inc({ reason: 'timeout' });
       return ws.terminate();
     }
     
@@ -878,12 +2188,21 @@ const pingInterval = setInterval(() => {
     try {
       ws.ping();
     } catch (e) {
-      logger.error(`Erro ao enviar ping para ${ws.id}: ${e.message}`);
+      ws.logger.error(`Erro ao enviar ping para ${ws.id}: ${e.message}`);
+      metricPingTerminations.inc({ reason: 'ping-error' });
       ws.terminate();
     }
   });
 }, CONFIG.PING_INTERVAL);
 
+// Gravar os logs e o journal pendentes antes de encerrar
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, () => {
+    logger.info(`Recebido ${signal}, encerrando servidor`);
+    Promise.all([logger.flush(), journal && journal.flush()]).then(() => process.exit(0));
+  });
+});
+
 // Limpar intervalo quando o servidor fechar
 wss.on('close', () => {
   clearInterval(pingInterval);
@@ -891,12 +2210,13 @@ wss.on('close', () => {
 });
 
 // Definir rotas
-app.get('/', (req, res) => {
+// Apenas a página do publicador é servida: o diretório do servidor guarda logs, configuração, gravações e journal
+app.get(['/', '/index.html'], (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
 // Endpoint para informações do servidor
-app.get('/info', (req, res) => {
+app.get('/info', requireAdmin, (req, res) => {
   const roomsInfo = {};
   
   rooms.forEach((room, id) => {
@@ -909,6 +2229,8 @@ app.get('/info', (req, res) => {
     roomsInfo: roomsInfo,
     uptime: process.uptime(),
     config: {
+      preset: CONFIG.PRESET,
+      presetOverrides: CONFIG.PRESET_OVERRIDES,
       maxBitrate: CONFIG.MAX_BITRATE,
       targetResolution: CONFIG.TARGET_RESOLUTION,
       targetFramerate: CONFIG.TARGET_FRAMERATE
@@ -917,8 +2239,14 @@ app.get('/info', (req, res) => {
   });
 });
 
+// Endpoint de métricas para o Prometheus
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 // Endpoint para informações da sala
-app.get('/room/:roomId/info', (req, res) => {
+app.get('/room/:roomId/info', requireRoomAccess, (req, res) => {
   const roomId = req.params.roomId;
   
   if (!rooms.has(roomId)) {
@@ -928,6 +2256,231 @@ app.get('/room/:roomId/info', (req, res) => {
   res.json(rooms.get(roomId).getStats());
 });
 
+// Endpoint de telemetria: histórico de bitrate/fps/RTT/perda do publicador e de cada espectador
+app.get('/room/:roomId/stats', requireRoomAccess, (req, res) => {
+  const roomId = req.params.roomId;
+  
+  if (!rooms.has(roomId)) {
+    return res.status(404).json({ error: 'Sala não encontrada' });
+  }
+  
+  res.json(rooms.get(roomId).getTelemetry());
+});
+
+// Latência de ponta a ponta por sessão: percentis das medições reportadas por cada espectador
+app.get('/room/:roomId/latency', requireRoomAccess, (req, res) => {
+  const roomId = req.params.roomId;
+  
+  if (!rooms.has(roomId)) {
+    return res.status(404).json({ error: 'Sala não encontrada' });
+  }
+  
+  res.json(rooms.get(roomId).getLatency());
+});
+
+// Stream SSE com cada nova amostra de telemetria da sala
+app.get('/room/:roomId/stats/stream', requireRoomAccess, (req, res) => {
+  const roomId = req.params.roomId;
+  
+  if (!rooms.has(roomId)) {
+    return res.status(404).json({ error: 'Sala não encontrada' });
+  }
+  
+  const room = rooms.get(roomId);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  // Estado atual primeiro, depois as amostras conforme chegam
+  sendServerEvent(res, 'snapshot', room.getTelemetry());
+  room.statsSubscribers.add(res);
+  
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    room.statsSubscribers.delete(res);
+  });
+  
+  httpLogger.verbose(`Stream de estatísticas aberto para a sala ${roomId}`);
+});
+
+// Exportar o journal de sinalização da sala (NDJSON, uma mensagem por linha)
+app.get('/room/:roomId/journal', requireAdmin, async (req, res) => {
+  if (!journal) {
+    return res.status(404).json({ error: 'Journal desativado (configure JOURNAL_ENABLED)' });
+  }
+  
+  try {
+    const file = await journal.exportFile(req.params.roomId);
+    if (!file) {
+      return res.status(404).json({ error: 'Nenhuma mensagem registrada para a sala' });
+    }
+    res.type('application/x-ndjson');
+    fs.createReadStream(file).pipe(res);
+  } catch (error) {
+    httpLogger.error(`Erro ao exportar journal da sala ${req.params.roomId}: ${error.message}`);
+    res.status(500).json({ error: 'Erro ao exportar journal' });
+  }
+});
+
+// Apagar o journal da sala antes de reproduzir um problema
+app.delete('/room/:roomId/journal', requireAdmin, async (req, res) => {
+  if (!journal) {
+    return res.status(404).json({ error: 'Journal desativado (configure JOURNAL_ENABLED)' });
+  }
+  
+  try {
+    await journal.clear(req.params.roomId);
+    httpLogger.info(`Journal da sala ${req.params.roomId} apagado`);
+    res.json({ success: true });
+  } catch (error) {
+    httpLogger.error(`Erro ao apagar journal da sala ${req.params.roomId}: ${error.message}`);
+    res.status(500).json({ error: 'Erro ao apagar journal' });
+  }
+});
+
+// Endpoint para alterar a qualidade da sala em tempo real
+app.put('/room/:roomId/config', requireAdmin, (req, res) => {
+  const roomId = req.params.roomId;
+  
+  if (!rooms.has(roomId)) {
+    return res.status(404).json({ error: 'Sala não encontrada' });
+  }
+  
+  try {
+    const quality = applyRoomQuality(rooms.get(roomId), req.body, `PUT /room/${roomId}/config`);
+    res.json({ success: true, quality });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return res.status(400).json({ error: error.message });
+    }
+    httpLogger.error(`Erro ao alterar configuração da sala ${roomId}: ${error.message}`);
+    res.status(500).json({ error: 'Erro ao alterar configuração da sala' });
+  }
+});
+
+// Gravação: o publicador abre a sessão, envia os chunks do MediaRecorder em ordem e a encerra
+app.post('/room/:roomId/recordings', requireRoomToken, async (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  
+  if (!room || !room.publisherId) {
+    return res.status(404).json({ error: 'Sala sem publicador ativo' });
+  }
+  if (room.recording) {
+    return res.status(409).json({ error: 'Já existe uma gravação em andamento na sala', sessionId: room.recording.sessionId });
+  }
+  
+  try {
+    res.status(201).json(await startRoomRecording(room, req.body));
+  } catch (error) {
+    sendRecordingError(res, error, 'iniciar gravação');
+  }
+});
+
+app.put('/room/:roomId/recordings/:sessionId/chunks/:sequence', requireRoomToken,
+  express.raw({ type: () => true, limit: CONFIG.RECORDING_MAX_CHUNK_SIZE }), async (req, res) => {
+    const { roomId, sessionId } = req.params;
+    const sequence = Number(req.params.sequence);
+    
+    if (!Number.isInteger(sequence) || sequence < 0 || !Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Chunk inválido' });
+    }
+    
+    try {
+      await recordings.appendChunk(roomId, sessionId, sequence, req.body);
+      res.status(204).end();
+    } catch (error) {
+      sendRecordingError(res, error, 'gravar chunk');
+    }
+  });
+
+app.post('/room/:roomId/recordings/:sessionId/stop', requireRoomToken, async (req, res) => {
+  const { roomId, sessionId } = req.params;
+  const room = rooms.get(roomId);
+  
+  try {
+    // A sala pode já ter sido removida se o publicador saiu antes de encerrar a gravação
+    if (room && room.recording && room.recording.sessionId === sessionId) {
+      res.json(await stopRoomRecording(room, req.body));
+    } else {
+      res.json(await recordings.stop(roomId, sessionId, req.body));
+    }
+  } catch (error) {
+    sendRecordingError(res, error, 'encerrar gravação');
+  }
+});
+
+// Consulta, download e remoção de gravações (administração)
+app.get('/room/:roomId/recordings', requireAdmin, async (req, res) => {
+  try {
+    res.json({ room: req.params.roomId, recordings: await recordings.list(req.params.roomId) });
+  } catch (error) {
+    sendRecordingError(res, error, 'listar gravações');
+  }
+});
+
+app.get('/room/:roomId/recordings/:sessionId', requireAdmin, async (req, res) => {
+  const { roomId, sessionId } = req.params;
+  
+  try {
+    const recording = await recordings.get(roomId, sessionId);
+    res.download(recording.path, `${roomId}-${sessionId}${path.extname(recording.file)}`, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Arquivo da gravação não encontrado' });
+      }
+    });
+  } catch (error) {
+    sendRecordingError(res, error, 'obter gravação');
+  }
+});
+
+app.delete('/room/:roomId/recordings/:sessionId', requireAdmin, async (req, res) => {
+  const { roomId, sessionId } = req.params;
+  const room = rooms.get(roomId);
+  
+  if (room && room.recording && room.recording.sessionId === sessionId) {
+    return res.status(409).json({ error: 'Gravação em andamento; encerre-a antes de remover' });
+  }
+  
+  try {
+    await recordings.remove(roomId, sessionId);
+    httpLogger.info(`Gravação ${sessionId} da sala ${roomId} removida`);
+    res.json({ success: true });
+  } catch (error) {
+    sendRecordingError(res, error, 'remover gravação');
+  }
+});
+
+// Todas as rotas administrativas exigem o token de administração
+app.use('/admin', requireAdmin);
+
+// Pedir ao publicador que inicie ou pare a gravação (a sala é avisada por 'recording-status')
+app.post('/admin/rooms/:roomId/recording/:action(start|stop)', (req, res) => {
+  const { roomId, action } = req.params;
+  const room = rooms.get(roomId);
+  
+  if (!room) {
+    return res.status(404).json({ error: 'Sala não encontrada' });
+  }
+  if (!room.publisherId) {
+    return res.status(409).json({ error: 'Sala sem publicador' });
+  }
+  if ((action === 'start') === Boolean(room.recording)) {
+    return res.status(409).json({ error: action === 'start' ? 'Gravação já está em andamento' : 'Nenhuma gravação em andamento' });
+  }
+  
+  room.sendTo([room.publisherId], {
+    type: 'recording-control',
+    action,
+    requestedBy: 'admin',
+    timestamp: Date.now()
+  });
+  httpLogger.info(`Solicitado ${action} de gravação ao publicador da sala ${roomId}`);
+  res.status(202).json({ success: true, action, publisherId: room.publisherId });
+});
+
 // Endpoint para forçar limpeza de salas (administração)
 app.post('/admin/cleanup', (req, res) => {
   const before = {
@@ -953,6 +2506,25 @@ app.post('/admin/cleanup', (req, res) => {
   });
 });
 
+// Consultar e alterar o nível de log em tempo real (administração)
+app.get('/admin/log-level', (req, res) => {
+  res.json({ level: logger.getLevel() });
+});
+
+app.put('/admin/log-level', (req, res) => {
+  const level = req.body && req.body.level;
+  const previous = logger.getLevel();
+  
+  if (LOG_LEVELS[level] === undefined) {
+    return res.status(400).json({ error: `Nível de log inválido: ${level} (use ${Object.keys(LOG_LEVELS).join(', ')})` });
+  }
+  
+  // Registrar antes da troca para que a mudança apareça mesmo ao elevar o nível
+  logger.info(`Nível de log alterado de ${previous} para ${level} via ${req.path}`);
+  logger.setLevel(level);
+  res.json({ success: true, level, previous });
+});
+
 // Obter endereços IP locais
 function getLocalIPs() {
   const interfaces = os.networkInterfaces();
@@ -973,12 +2545,43 @@ function getLocalIPs() {
   return addresses;
 }
 
+// Servidor STUN embutido, para redes sem acesso a servidores STUN externos
+if (CONFIG.STUN_SERVER_PORT && !CONFIG.ICE_HOST_ONLY) {
+  const stunServer = new StunServer(logger.child({ component: 'stun' }));
+  stunServer.start(CONFIG.STUN_SERVER_PORT)
+    .then(() => logger.info(`Servidor STUN embutido na porta UDP ${CONFIG.STUN_SERVER_PORT}`))
+    .catch(error => logger.error(`Não foi possível iniciar o servidor STUN na porta ${CONFIG.STUN_SERVER_PORT}: ${error.message}`));
+}
+
 // Iniciar servidor
 server.listen(CONFIG.PORT, () => {
   const addresses = getLocalIPs();
   
   logger.info(`Servidor WebRTC Otimizado v2.0.0 rodando na porta ${CONFIG.PORT}`);
-  logger.info(`Configurado para: ${CONFIG.TARGET_RESOLUTION}@${CONFIG.TARGET_FRAMERATE}fps, ${CONFIG.MAX_BITRATE}kbps`);
+  logger.info(`Configurado para: ${CONFIG.TARGET_RESOLUTION}@${CONFIG.TARGET_FRAMERATE}fps, ${CONFIG.MAX_BITRATE}kbps (preset ${CONFIG.PRESET})`);
+  if (CONFIG.PRESET_OVERRIDES.length > 0) {
+    logger.info(`Valores do preset sobrescritos: ${CONFIG.PRESET_OVERRIDES.join(', ')}`);
+  }
+  
+  if (!CONFIG.ADMIN_TOKEN) {
+    logger.warning('ADMIN_TOKEN não configurado: /admin/*, /info e /metrics disponíveis apenas via loopback');
+  }
+  if (CONFIG.LOCAL_ONLY) {
+    logger.info('Aceitando apenas conexões de redes privadas');
+  }
+  
+  if (CONFIG.ICE_HOST_ONLY) {
+    logger.info('Modo ICE apenas host: sem STUN/TURN, candidatos não-host descartados');
+  } else if (CONFIG.TURN_URLS && !CONFIG.TURN_SECRET) {
+    logger.warning('TURN_URLS configurado sem TURN_SECRET: servidores TURN não serão anunciados');
+  }
+  
+  if (CONFIG.VIDEO_LAYERING === 'svc') {
+    const preferred = policyFromQuality(qualityFromConfig(CONFIG)).preferences[0].codec;
+    if (preferred !== 'VP9' && preferred !== 'AV1') {
+      logger.warning(`VIDEO_LAYERING=svc com ${preferred} como codec preferido: SVC só é aplicado com VP9 ou AV1`);
+    }
+  }
   
   if (addresses.length > 0) {
     logger.info('Servidor disponível nos seguintes endereços:');
@@ -0,0 +1,96 @@
+/**
+ * Servidor STUN mínimo (RFC 5389, apenas Binding) para redes de laboratório sem acesso à internet
+ * Responde a cada Binding Request com o endereço de origem observado (XOR-MAPPED-ADDRESS)
+ */
+
+const dgram = require('dgram');
+
+const MAGIC_COOKIE = 0x2112A442;
+const HEADER_SIZE = 20;
+const BINDING_REQUEST = 0x0001;
+const BINDING_SUCCESS = 0x0101;
+const ATTR_XOR_MAPPED_ADDRESS = 0x0020;
+
+/**
+ * Resposta de sucesso para um Binding Request, ou null se a mensagem não for um
+ */
+function createBindingResponse(request, address, port) {
+  if (request.length < HEADER_SIZE ||
+      request.readUInt16BE(0) !== BINDING_REQUEST ||
+      request.readUInt32BE(4) !== MAGIC_COOKIE) {
+    return null;
+  }
+
+  const transactionId = request.subarray(8, HEADER_SIZE);
+  const ipv4 = address.replace(/^::ffff:/, '');
+  const parts = ipv4.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+
+  // Atributo XOR-MAPPED-ADDRESS (IPv4): família, porta e endereço combinados com o magic cookie
+  const attribute = Buffer.alloc(12);
+  attribute.writeUInt16BE(ATTR_XOR_MAPPED_ADDRESS, 0);
+  attribute.writeUInt16BE(8, 2);
+  attribute.writeUInt8(0x01, 5);
+  attribute.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 6);
+  attribute.writeUInt32BE((Buffer.from(parts).readUInt32BE(0) ^ MAGIC_COOKIE) >>> 0, 8);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt16BE(BINDING_SUCCESS, 0);
+  header.writeUInt16BE(attribute.length, 2);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+
+  return Buffer.concat([header, attribute]);
+}
+
+class StunServer {
+  /**
+   * @param {Object} logger - Logger para erros e eventos do servidor
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.socket = null;
+    this.requests = 0;
+  }
+
+  /**
+   * Começar a escutar na porta UDP indicada
+   * @return {Promise} - Resolvida quando o socket estiver pronto
+   */
+  start(port, host = '0.0.0.0') {
+    return new Promise((resolve, reject) => {
+      this.socket = dgram.createSocket('udp4');
+
+      this.socket.on('message', (message, remote) => {
+        const response = createBindingResponse(message, remote.address, remote.port);
+        if (!response) return;
+
+        this.requests++;
+        this.socket.send(response, remote.port, remote.address, error => {
+          if (error) this.logger.warning(`Erro ao responder Binding STUN para ${remote.address}: ${error.message}`);
+        });
+      });
+
+      this.socket.once('error', reject);
+      this.socket.bind(port, host, () => {
+        this.socket.removeListener('error', reject);
+        this.socket.on('error', error => this.logger.error(`Erro no servidor STUN: ${error.message}`));
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  StunServer,
+  createBindingResponse
+};
@@ -0,0 +1,96 @@
+/**
+ * Testes da política de codecs de vídeo sobre as fixtures de SDP do Chrome e do Safari
+ * Uso: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SDP = require('../sdp');
+const { policyFromQuality, applyCodecPolicy, getSelectedVideoCodecs, isAuxiliaryCodec } = require('../codec-policy');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function load(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function video(model) {
+  return SDP.getMedia(model, 'video')[0];
+}
+
+// Payloads de vídeo propriamente ditos, na ordem da linha m=
+function primaryPayloads(media) {
+  return media.payloads.filter(payload => !isAuxiliaryCodec(SDP.getCodec(media, payload)));
+}
+
+test('policyFromQuality normaliza aliases e perfis e cai para o codec preferido', () => {
+  assert.deepEqual(policyFromQuality({ codecs: ['HEVC', 'H264/42E01F'], codecStrict: 1 }), {
+    preferences: [{ codec: 'H265', profile: null }, { codec: 'H264', profile: '42e01f' }],
+    strict: true
+  });
+  assert.deepEqual(policyFromQuality({ codecs: null, codec: 'VP8' }), {
+    preferences: [{ codec: 'VP8', profile: null }],
+    strict: false
+  });
+});
+
+test('perfil H.264 de 6 dígitos compara profile_idc e restrições, ignorando o nível', () => {
+  const media = video(SDP.parse(load('chrome-offer.sdp')));
+
+  // 42e034 (Constrained Baseline 5.2) aceita os 42e01f oferecidos, mas não os 42001f
+  applyCodecPolicy(media, policyFromQuality({ codecs: ['H264/42e034'], codecStrict: true }));
+  assert.deepEqual(primaryPayloads(media), ['106', '108']);
+  assert.deepEqual(media.payloads.slice(0, 4), ['106', '107', '108', '109']);
+});
+
+test('perfil H.264 abreviado casa por prefixo', () => {
+  const media = video(SDP.parse(load('chrome-offer.sdp')));
+
+  const result = applyCodecPolicy(media, policyFromQuality({ codecs: ['H264/64', 'VP8'] }));
+  assert.deepEqual(result, { removed: [], kept: false });
+  assert.deepEqual(media.payloads.slice(0, 4), ['39', '40', '96', '97']);
+});
+
+test('modo estrito sem nenhum codec permitido mantém o SDP', () => {
+  const sdp = load('chrome-offer.sdp');
+  const model = SDP.parse(sdp);
+
+  const result = applyCodecPolicy(video(model), policyFromQuality({ codecs: ['H265'], codecStrict: true }));
+  assert.deepEqual(result, { removed: [], kept: true });
+  assert.equal(SDP.serialize(model), sdp);
+});
+
+test('modo estrito remove o RTX junto com o codec não permitido', () => {
+  const model = SDP.parse(load('chrome-offer.sdp'));
+  const media = video(model);
+
+  const result = applyCodecPolicy(media, policyFromQuality({ codecs: ['VP8'], codecStrict: true }));
+  const removed = result.removed.map(codec => codec.payload);
+  assert.ok(removed.includes('102') && removed.includes('103'));
+  assert.ok(removed.includes('98') && removed.includes('99'));
+  assert.ok(!removed.includes('97'));
+
+  assert.deepEqual(primaryPayloads(media), ['96']);
+  assert.deepEqual(media.payloads.slice(0, 2), ['96', '97']);
+  assert.ok(!/a=(rtpmap|fmtp):103 /.test(SDP.serialize(model)));
+  // Redundância e FEC não fazem parte da política e ficam
+  assert.ok(media.payloads.includes('112') && media.payloads.includes('116'));
+});
+
+test('RTX herda a posição do codec associado', () => {
+  const media = video(SDP.parse(load('chrome-offer.sdp')));
+
+  applyCodecPolicy(media, policyFromQuality({ codecs: ['VP9/2', 'AV1'] }));
+  assert.deepEqual(media.payloads.slice(0, 4), ['100', '101', '45', '46']);
+});
+
+test('alias HEVC prioriza o H.265 do Safari e getSelectedVideoCodecs o identifica', () => {
+  const model = SDP.parse(load('safari-offer.sdp'));
+  applyCodecPolicy(video(model), policyFromQuality({ codecs: ['HEVC'] }));
+
+  const [selected] = getSelectedVideoCodecs(SDP.serialize(model));
+  assert.equal(selected.codec, 'H265');
+  assert.equal(selected.payload, '100');
+});
@@ -0,0 +1,94 @@
+/**
+ * Testes da configuração: precedência entre as fontes e validação do perfil de qualidade das salas
+ * Uso: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, validateQuality, ConfigError, DEFAULTS } = require('../config');
+
+function withConfigFile(content, callback) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webrtc-config-'));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  try {
+    return callback(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('sem fontes explícitas vale o preset padrão sobre os padrões', () => {
+  const config = loadConfig([], {});
+  assert.equal(config.PRESET, DEFAULTS.PRESET);
+  assert.equal(config.H264_PROFILE, '640032');
+  assert.deepEqual(config.PRESET_OVERRIDES, []);
+});
+
+test('precedência: padrões < preset < arquivo < variáveis de ambiente < flags', () => {
+  const fileValues = { MAX_BITRATE: 15000, TARGET_RESOLUTION: '1280x720', TARGET_FRAMERATE: 50, PORT: 9000 };
+
+  const config = withConfigFile(fileValues, file => loadConfig(
+    ['--preset', '1080p60', '--config', file, '--max-bitrate=9000'],
+    { MAX_BITRATE: '12000', TARGET_FRAMERATE: '24', UNRELATED: 'x' }
+  ));
+
+  assert.equal(config.PRESET, '1080p60');
+  assert.equal(config.H264_PROFILE, '64002a'); // preset
+  assert.equal(config.TARGET_RESOLUTION, '1280x720'); // arquivo sobre o preset
+  assert.equal(config.PORT, 9000); // arquivo sobre os padrões
+  assert.equal(config.TARGET_FRAMERATE, 24); // ambiente sobre o arquivo
+  assert.equal(config.MAX_BITRATE, 9000); // flag sobre o ambiente
+  assert.equal(config.LOG_LEVEL, DEFAULTS.LOG_LEVEL);
+  assert.deepEqual(config.PRESET_OVERRIDES.sort(), ['MAX_BITRATE', 'TARGET_FRAMERATE', 'TARGET_RESOLUTION']);
+});
+
+test('arquivo indicado por CONFIG_FILE e preset vindo do ambiente', () => {
+  const config = withConfigFile({ CODEC_PREFERENCES: 'h264/42E01F,vp8' }, file => loadConfig(
+    ['--local-only'],
+    { CONFIG_FILE: file, PRESET: 'low-latency-720p' }
+  ));
+
+  assert.equal(config.PRESET, 'low-latency-720p');
+  assert.equal(config.MAX_BITRATE, 8000);
+  assert.deepEqual(config.CODEC_PREFERENCES, ['H264/42e01f', 'VP8']);
+  assert.equal(config.LOCAL_ONLY, true);
+});
+
+test('valores inválidos e chaves desconhecidas geram ConfigError com a origem', () => {
+  assert.throws(() => loadConfig([], { MAX_BITRATE: 'muito' }), error =>
+    error instanceof ConfigError && error.message.includes('variável de ambiente MAX_BITRATE'));
+  assert.throws(() => loadConfig(['--max-bitrate', '50'], {}), error =>
+    error instanceof ConfigError && error.message.includes('flag --max-bitrate'));
+  assert.throws(() => loadConfig(['--bitrate', '5000'], {}), ConfigError);
+  assert.throws(() => withConfigFile({ MAX_BITRAT: 5000 }, file => loadConfig(['--config', file], {})),
+    /Chave desconhecida "MAX_BITRAT"/);
+});
+
+test('validateQuality converte os campos da sala pelos tipos da configuração', () => {
+  assert.deepEqual(validateQuality({
+    bitrate: '20000',
+    adaptiveBitrate: 'false',
+    codecs: 'hevc,H264/640C1F',
+    resolution: '1920x1080'
+  }, 'teste'), {
+    bitrate: 20000,
+    adaptiveBitrate: false,
+    codecs: ['HEVC', 'H264/640c1f'],
+    resolution: '1920x1080'
+  });
+  assert.deepEqual(validateQuality({}, 'teste'), {});
+});
+
+test('validateQuality rejeita campos desconhecidos e valores fora dos limites', () => {
+  assert.throws(() => validateQuality(null, 'teste'), ConfigError);
+  assert.throws(() => validateQuality(['bitrate'], 'teste'), ConfigError);
+  assert.throws(() => validateQuality({ bitrat: 1000 }, 'teste'), /Campo desconhecido "bitrat" \(teste\)/);
+  assert.throws(() => validateQuality({ bitrate: 10 }, 'set-config'), error =>
+    error instanceof ConfigError && error.message.includes('set-config bitrate'));
+  assert.throws(() => validateQuality({ framerate: 30.5 }, 'teste'), ConfigError);
+  assert.throws(() => validateQuality({ codecs: 'H264/xyz' }, 'teste'), ConfigError);
+});
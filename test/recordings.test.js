@@ -0,0 +1,100 @@
+/**
+ * Testes do armazenamento de gravações: ordem dos chunks e falhas de escrita
+ * Uso: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordingStore, RecordingError } = require('../recordings');
+
+const ROOM = 'sala-teste';
+
+function createStore(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webrtc-recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new RecordingStore(dir, options);
+}
+
+function recordingError(status) {
+  return error => error instanceof RecordingError && error.status === status;
+}
+
+test('chunks na ordem são concatenados e contados', async (t) => {
+  const store = createStore(t);
+  const { sessionId } = await store.start(ROOM, { mimeType: 'video/webm;codecs=vp8' });
+
+  await Promise.all([
+    store.appendChunk(ROOM, sessionId, 0, Buffer.from('abc')),
+    store.appendChunk(ROOM, sessionId, 1, Buffer.from('de'))
+  ]);
+  const metadata = await store.stop(ROOM, sessionId, { reason: 'user' });
+
+  assert.equal(metadata.chunks, 2);
+  assert.equal(metadata.size, 5);
+  assert.equal(metadata.error, null);
+  assert.equal(metadata.reason, 'user');
+  assert.equal(fs.readFileSync((await store.get(ROOM, sessionId)).path, 'utf8'), 'abcde');
+});
+
+test('chunk fora de ordem é recusado com 409 sem afetar a sessão', async (t) => {
+  const store = createStore(t);
+  const { sessionId } = await store.start(ROOM);
+
+  await assert.rejects(store.appendChunk(ROOM, sessionId, 1, Buffer.from('b')), recordingError(409));
+  await store.appendChunk(ROOM, sessionId, 0, Buffer.from('a'));
+  await assert.rejects(store.appendChunk(ROOM, sessionId, 0, Buffer.from('a')), recordingError(409));
+  await store.appendChunk(ROOM, sessionId, 1, Buffer.from('b'));
+
+  const metadata = await store.stop(ROOM, sessionId);
+  assert.equal(metadata.chunks, 2);
+  assert.equal(metadata.size, 2);
+});
+
+test('falha de escrita interrompe a sessão: chunks enfileirados e seguintes recebem 410', async (t) => {
+  const store = createStore(t);
+  const { sessionId } = await store.start(ROOM);
+  await store.appendChunk(ROOM, sessionId, 0, Buffer.from('ok'));
+
+  const appendFile = fs.promises.appendFile;
+  t.mock.method(fs.promises, 'appendFile', async (file, data) => {
+    // Escrita parcial seguida de erro, como em um disco cheio
+    await appendFile(file, data.subarray(0, 1));
+    throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+  });
+
+  const failed = store.appendChunk(ROOM, sessionId, 1, Buffer.from('xyz'));
+  const queued = store.appendChunk(ROOM, sessionId, 2, Buffer.from('w'));
+  await assert.rejects(failed, /ENOSPC/);
+  await assert.rejects(queued, recordingError(410));
+  t.mock.restoreAll();
+
+  // Nem o reenvio do chunk que falhou nem os seguintes são aceitos
+  await assert.rejects(store.appendChunk(ROOM, sessionId, 1, Buffer.from('xyz')), recordingError(410));
+  await assert.rejects(store.appendChunk(ROOM, sessionId, 3, Buffer.from('v')), recordingError(410));
+
+  const metadata = await store.stop(ROOM, sessionId, { reason: 'upload-error' });
+  assert.equal(metadata.chunks, 1);
+  assert.equal(metadata.size, 2);
+  assert.match(metadata.error, /chunk 1/);
+  assert.equal((await store.list(ROOM))[0].error, metadata.error);
+});
+
+test('sessão encerrada ou desconhecida não aceita chunks', async (t) => {
+  const store = createStore(t);
+  const { sessionId } = await store.start(ROOM);
+  await store.stop(ROOM, sessionId);
+
+  await assert.rejects(store.appendChunk(ROOM, sessionId, 0, Buffer.from('a')), recordingError(404));
+  await assert.rejects(store.appendChunk(ROOM, 'inexistente', 0, Buffer.from('a')), recordingError(404));
+});
+
+test('tamanho máximo da sessão é respeitado', async (t) => {
+  const store = createStore(t, { maxSize: 4 });
+  const { sessionId } = await store.start(ROOM);
+
+  await store.appendChunk(ROOM, sessionId, 0, Buffer.from('abc'));
+  await assert.rejects(store.appendChunk(ROOM, sessionId, 1, Buffer.from('de')), recordingError(413));
+});
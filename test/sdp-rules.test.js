@@ -0,0 +1,96 @@
+/**
+ * Testes das regras de reescrita de oferta e resposta sobre as fixtures de SDP
+ * Uso: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SDP = require('../sdp');
+const { rewriteSdp } = require('../sdp-rules');
+const { loadConfig, qualityFromConfig } = require('../config');
+const { isAuxiliaryCodec } = require('../codec-policy');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// As regras só registram decisões; os testes verificam o SDP resultante
+const logger = { verbose() {}, info() {}, warning() {} };
+
+function load(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function quality(changes = {}) {
+  return Object.assign(qualityFromConfig(loadConfig([], {})), changes);
+}
+
+function videoCodecs(sdp) {
+  const media = SDP.getMedia(SDP.parse(sdp), 'video')[0];
+  return { media, codecs: media.codecs.filter(codec => !isAuxiliaryCodec(codec)) };
+}
+
+function fmtpNumber(codec, key) {
+  const value = SDP.getFmtpParam(codec, key);
+  return value === undefined ? undefined : Number(value);
+}
+
+test('resposta de uma sala com bitrate adaptativo não fixa piso nem início no encoder', () => {
+  const room = quality({ adaptiveBitrate: true });
+  const { media, codecs } = videoCodecs(rewriteSdp(load('libwebrtc-ios-answer.sdp'), room, 'answer', logger));
+
+  assert.equal(SDP.getBandwidth(media, 'AS'), room.bitrate);
+  assert.ok(codecs.length > 0);
+  codecs.forEach(codec => {
+    assert.equal(fmtpNumber(codec, 'x-google-max-bitrate'), room.bitrate);
+    assert.equal(fmtpNumber(codec, 'x-google-min-bitrate'), undefined);
+    assert.equal(fmtpNumber(codec, 'x-google-start-bitrate'), undefined);
+  });
+});
+
+test('resposta de uma sala com bitrate adaptativo nunca tem piso acima de MIN_BITRATE', () => {
+  const room = quality({ adaptiveBitrate: true, minBitrate: 500 });
+  const answer = load('libwebrtc-ios-answer.sdp').replace('x-google-min-bitrate=1000', 'x-google-min-bitrate=25000');
+  const { codecs } = videoCodecs(rewriteSdp(answer, room, 'answer', logger));
+
+  codecs.forEach(codec => {
+    const floor = fmtpNumber(codec, 'x-google-min-bitrate');
+    assert.ok(floor === undefined || floor <= room.minBitrate, `piso ${floor} acima de ${room.minBitrate}`);
+  });
+});
+
+test('sem bitrate adaptativo o piso vem de MIN_BITRATE e o início do primeiro degrau', () => {
+  const room = quality({ adaptiveBitrate: false, bitrate: 20000, minBitrate: 2000, abrLadder: ['70/1', '30/2'] });
+  const { media, codecs } = videoCodecs(rewriteSdp(load('libwebrtc-ios-answer.sdp'), room, 'answer', logger));
+
+  assert.equal(SDP.getBandwidth(media, 'AS'), 20000);
+  codecs.forEach(codec => {
+    assert.equal(fmtpNumber(codec, 'x-google-max-bitrate'), 20000);
+    assert.equal(fmtpNumber(codec, 'x-google-min-bitrate'), 2000);
+    assert.equal(fmtpNumber(codec, 'x-google-start-bitrate'), 14000);
+  });
+});
+
+test('limite b=AS menor do receptor vale para o teto, o piso e o início', () => {
+  const room = quality({ adaptiveBitrate: false, bitrate: 50000, minBitrate: 8000 });
+  const answer = load('libwebrtc-ios-answer.sdp').replace('b=AS:50000', 'b=AS:6000');
+  const { media, codecs } = videoCodecs(rewriteSdp(answer, room, 'answer', logger));
+
+  assert.equal(SDP.getBandwidth(media, 'AS'), 6000);
+  codecs.forEach(codec => {
+    assert.equal(fmtpNumber(codec, 'x-google-max-bitrate'), 6000);
+    assert.equal(fmtpNumber(codec, 'x-google-min-bitrate'), 6000);
+    assert.equal(fmtpNumber(codec, 'x-google-start-bitrate'), 6000);
+  });
+});
+
+test('oferta do publicador sai sendonly, sem x-google-* e com o bitrate da sala', () => {
+  const room = quality({ bitrate: 12000 });
+  const { media, codecs } = videoCodecs(rewriteSdp(load('chrome-offer.sdp'), room, 'offer', logger));
+
+  assert.equal(SDP.getDirection(media), 'sendonly');
+  assert.equal(SDP.getBandwidth(media, 'AS'), 12000);
+  codecs.forEach(codec => {
+    assert.ok(!(codec.fmtp || []).some(param => param.key.startsWith('x-google-')));
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Testes do parser/serializador de SDP com ofertas e respostas no formato do Chrome, do Safari e do libwebrtc (iOS)
+ * Uso: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SDP = require('../sdp');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURES = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.sdp'));
+
+function load(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function video(model) {
+  return SDP.getMedia(model, 'video')[0];
+}
+
+function lines(sdp) {
+  return sdp.split('\r\n');
+}
+
+test('há fixtures de SDP para testar', () => {
+  assert.ok(FIXTURES.length >= 4);
+});
+
+FIXTURES.forEach(name => {
+  test(`parse -> serialize reproduz ${name} byte a byte`, () => {
+    const sdp = load(name);
+    assert.ok(sdp.includes('\r\n'), 'a fixture deve manter o CRLF original');
+    assert.equal(SDP.serialize(SDP.parse(sdp)), sdp);
+  });
+
+  test(`parse -> serialize preserva LF e a ausência de fim de linha final em ${name}`, () => {
+    const lf = load(name).replace(/\r\n/g, '\n');
+    assert.equal(SDP.serialize(SDP.parse(lf)), lf);
+
+    const trimmed = lf.trimEnd();
+    assert.equal(SDP.serialize(SDP.parse(trimmed)), trimmed);
+  });
+});
+
+test('parse interpreta codecs, fmtp, rtcp-fb, extmap e ssrc', () => {
+  const model = SDP.parse(load('chrome-offer.sdp'));
+  const media = video(model);
+
+  assert.equal(model.eol, '\r\n');
+  assert.equal(SDP.getMedia(model, 'audio').length, 1);
+  assert.equal(SDP.findCodecs(media, 'h264').length, 6);
+
+  const h264 = SDP.getCodec(media, 102);
+  assert.equal(h264.name, 'H264');
+  assert.equal(h264.clockRate, 90000);
+  assert.equal(SDP.getFmtpParam(h264, 'profile-level-id'), '42001f');
+  assert.deepEqual(h264.rtcpFb, ['goog-remb', 'transport-cc', 'ccm fir', 'nack', 'nack pli']);
+  assert.deepEqual(SDP.getRtxCodecs(media, 102).map(codec => codec.payload), ['103']);
+
+  const opus = SDP.getCodec(SDP.getMedia(model, 'audio')[0], 111);
+  assert.equal(opus.channels, 2);
+  assert.equal(SDP.getDirection(media), 'sendrecv');
+  assert.equal(SDP.getDirection(video(SDP.parse(load('libwebrtc-ios-answer.sdp')))), 'recvonly');
+  assert.equal(SDP.getBandwidth(video(SDP.parse(load('libwebrtc-ios-answer.sdp'))), 'AS'), 50000);
+
+  const midExtension = media.extmap.find(extension => extension.uri === 'urn:ietf:params:rtp-hdrext:sdes:mid');
+  assert.equal(Number(midExtension.id), 4);
+  assert.deepEqual(media.ssrcGroups.map(group => group.semantics), ['FID']);
+  assert.equal(media.ssrcs.filter(ssrc => ssrc.attribute === 'cname').length, 2);
+});
+
+test('setFmtpParams altera, acrescenta e remove parâmetros mantendo a ordem', () => {
+  const model = SDP.parse(load('chrome-offer.sdp'));
+  const h264 = SDP.getCodec(video(model), 102);
+
+  SDP.setFmtpParams(h264, {
+    'profile-level-id': '640032',
+    'level-asymmetry-allowed': undefined,
+    'x-google-max-bitrate': 50000
+  });
+  assert.ok(lines(SDP.serialize(model)).includes(
+    'a=fmtp:102 packetization-mode=1;profile-level-id=640032;x-google-max-bitrate=50000'));
+
+  SDP.setFmtpParams(h264, { 'profile-level-id': '42e01f', 'x-google-min-bitrate': 1000 }, { onlyIfMissing: true });
+  assert.equal(SDP.getFmtpParam(h264, 'profile-level-id'), '640032');
+  assert.equal(SDP.getFmtpParam(h264, 'x-google-min-bitrate'), '1000');
+});
+
+test('setFmtpParams cria a linha a=fmtp logo após o rtpmap e o rtcp-fb do codec', () => {
+  const model = SDP.parse(load('safari-offer.sdp'));
+  const vp8 = SDP.getCodec(video(model), 127);
+  assert.equal(vp8.fmtp, null);
+
+  SDP.setFmtpParams(vp8, { 'x-google-start-bitrate': 10000 });
+  const serialized = lines(SDP.serialize(model));
+  const fmtpIndex = serialized.indexOf('a=fmtp:127 x-google-start-bitrate=10000');
+  assert.ok(fmtpIndex > 0);
+  assert.equal(serialized[fmtpIndex - 1], 'a=rtcp-fb:127 nack pli');
+});
+
+test('prioritizeCodecs reordena a linha m= por nome ou por função', () => {
+  const model = SDP.parse(load('chrome-simulcast-offer.sdp'));
+  const media = video(model);
+
+  SDP.prioritizeCodecs(media, ['H264', 'rtx']);
+  assert.ok(lines(SDP.serialize(model)).includes('m=video 9 UDP/TLS/RTP/SAVPF 102 97 103 99 96 98'));
+
+  SDP.prioritizeCodecs(media, codec => (codec.name === 'VP9' ? 0 : 1));
+  assert.deepEqual(media.payloads, ['98', '102', '97', '103', '99', '96']);
+});
+
+test('removeCodecs remove o codec, seu RTX e as linhas associadas', () => {
+  const model = SDP.parse(load('chrome-offer.sdp'));
+  const media = video(model);
+
+  const removed = SDP.removeCodecs(media, codec => codec.name === 'VP9');
+  assert.deepEqual(removed.map(codec => codec.payload).sort(), ['100', '101', '98', '99']);
+
+  const serialized = SDP.serialize(model);
+  assert.ok(!/a=(rtpmap|fmtp|rtcp-fb):(98|99|100|101) /.test(serialized));
+  assert.ok(!/^m=video .*\b(98|99|100|101)\b/m.test(serialized));
+  assert.equal(SDP.findCodecs(media, 'H264').length, 6);
+});
+
+test('removeCodecs poda as restrições pt= das camadas RID', () => {
+  const model = SDP.parse(load('chrome-simulcast-offer.sdp'));
+  const media = video(model);
+
+  SDP.removeCodecs(media, codec => codec.name === 'VP8');
+  assert.deepEqual(SDP.getRids(media)[0].payloads, ['102']);
+  assert.ok(lines(SDP.serialize(model)).includes('a=rid:f send pt=102'));
+
+  SDP.removeCodecs(media, codec => codec.name === 'H264');
+  assert.ok(lines(SDP.serialize(model)).includes('a=rid:f send'));
+});
+
+test('getRids e getSimulcast leem as camadas declaradas', () => {
+  const media = video(SDP.parse(load('chrome-simulcast-offer.sdp')));
+
+  assert.deepEqual(SDP.getRids(media), [
+    { id: 'f', direction: 'send', payloads: ['102', '96'], restrictions: [] },
+    { id: 'h', direction: 'send', payloads: [], restrictions: [] },
+    { id: 'q', direction: 'send', payloads: [], restrictions: ['max-width=480', 'max-height=270'] }
+  ]);
+  assert.deepEqual(SDP.getSimulcast(media), { direction: 'send', rids: ['f', 'h', 'q'] });
+
+  const single = video(SDP.parse(load('chrome-offer.sdp')));
+  assert.deepEqual(SDP.getRids(single), []);
+  assert.equal(SDP.getSimulcast(single), null);
+});